@@ -0,0 +1,247 @@
+/**
+ * Immutable Array Operations
+ *
+ * sort(), reverse() and splice() change the array they are called on,
+ * which is easy to forget when the array came from somewhere else:
+ *
+ *   function topTwo(scores) {
+ *       return scores.sort((a, b) => b - a).slice(0, 2);   // reorders the caller's array too
+ *   }
+ *
+ * ES2023 added copies that leave the array alone: toSorted(),
+ * toReversed(), toSpliced() and with(). They exist from Node 20; the
+ * helpers here use them when they are there and an equivalent fallback
+ * before that. (`with` is a keyword, so its helper is called withAt().)
+ *
+ * Reading code to find mutations only goes so far, so there is also a
+ * mutation detector: watch(array) reports every change made to the array,
+ * and pure(fn) checks that a function leaves its array arguments alone.
+ *
+ * Run this file to see the examples, or require it to use the helpers:
+ *   const { toSorted, toSpliced, withAt, pure } = require('./immutable');
+ */
+
+const { AppError } = require('../error-handling/errors');
+
+// ============================================
+// Reusable Helpers
+// ============================================
+// -1 -> length - 1, as at(), slice() and with() read their index
+function relativeIndex(index, length) {
+    const integer = Math.trunc(Number(index)) || 0;
+    return integer < 0 ? Math.max(length + integer, 0) : Math.min(integer, length);
+}
+
+// The fallbacks, following the specification. Holes in the array
+// become undefined, as they do with the built-in methods.
+const fallbacks = {
+    toSorted(array, compare) {
+        if (compare !== undefined && typeof compare !== 'function') {
+            throw new TypeError('The comparison function must be either a function or undefined');
+        }
+        return Array.from(array).sort(compare);
+    },
+
+    toReversed(array) {
+        return Array.from(array).reverse();
+    },
+
+    // With no arguments, a copy; with only `start`, everything from start
+    // is removed
+    toSpliced(array, ...args) {
+        const copy = Array.from(array);
+        if (args.length === 0) return copy;
+        const start = relativeIndex(args[0], copy.length);
+        const deleteCount = args.length === 1
+            ? copy.length - start
+            : Math.min(Math.max(Math.trunc(Number(args[1])) || 0, 0), copy.length - start);
+        copy.splice(start, deleteCount, ...args.slice(2));
+        return copy;
+    },
+
+    withAt(array, index, value) {
+        const copy = Array.from(array);
+        const integer = Math.trunc(Number(index)) || 0;
+        const actual = integer < 0 ? copy.length + integer : integer;
+        if (actual < 0 || actual >= copy.length) {
+            throw new RangeError('Invalid index : ' + index);
+        }
+        copy[actual] = value;
+        return copy;
+    }
+};
+
+// The built-in method when it exists, the fallback otherwise
+function pick(method, fallback) {
+    const builtIn = Array.prototype[method];
+    return typeof builtIn === 'function'
+        ? (array, ...args) => builtIn.apply(array, args)
+        : fallback;
+}
+
+const toSorted = pick('toSorted', fallbacks.toSorted);
+const toReversed = pick('toReversed', fallbacks.toReversed);
+const toSpliced = pick('toSpliced', fallbacks.toSpliced);
+const withAt = pick('with', fallbacks.withAt);
+
+// ============================================
+// Mutation Detector
+// ============================================
+// The array methods that change the array they are called on
+const MUTATING_METHODS = ['copyWithin', 'fill', 'pop', 'push', 'reverse', 'shift', 'sort', 'splice', 'unshift'];
+
+// Thrown when a watched array is changed. `details` has the label, and
+// the method or property involved.
+class MutationError extends AppError {
+    constructor(message, details) {
+        super(message, { code: 'MUTATION', details });
+    }
+}
+
+function describeMutation({ label, method, property }) {
+    return method ? `${label} was changed by ${method}()` : `${label} was changed: [${String(property)}] was set`;
+}
+
+// What happens when a change is found: 'throw' (the default) stops it
+// before the array changes; 'warn' logs it and lets it happen; a
+// function is called with { label, method, property } and lets it happen.
+function reporter(onMutation) {
+    if (typeof onMutation === 'function') return onMutation;
+    if (onMutation === 'warn') {
+        return mutation => console.warn(`Warning: ${describeMutation(mutation)}`);
+    }
+    return mutation => {
+        throw new MutationError(describeMutation(mutation), mutation);
+    };
+}
+
+// A stand-in for `array` that reports every change made through it:
+// mutating methods (reported once per call, by name) as well as direct
+// writes such as array[0] = x, array.length = 0 or delete array[1].
+function watch(array, { label = 'array', onMutation = 'throw' } = {}) {
+    const report = reporter(onMutation);
+    const onWrite = property => report({ label, method: null, property });
+
+    return new Proxy(array, {
+        get(target, property, receiver) {
+            const value = Reflect.get(target, property, receiver);
+            if (typeof value !== 'function' || !MUTATING_METHODS.includes(property)) {
+                return value;
+            }
+            return function (...args) {
+                report({ label, method: property, property: null });
+                // Called on the array itself, so the writes it makes aren't
+                // reported a second time
+                const result = value.apply(this === receiver ? target : this, args);
+                return result === target ? receiver : result;
+            };
+        },
+        set(target, property, value) {
+            onWrite(property);
+            return Reflect.set(target, property, value);
+        },
+        deleteProperty(target, property) {
+            onWrite(property);
+            return Reflect.deleteProperty(target, property);
+        },
+        defineProperty(target, property, descriptor) {
+            onWrite(property);
+            return Reflect.defineProperty(target, property, descriptor);
+        }
+    });
+}
+
+// `fn`, checked: every array it is called with is watched, so a function
+// that is meant to leave its input alone reports it when it doesn't.
+// Options are those of watch(); the label is "<name> argument <n>".
+function pure(fn, options = {}) {
+    return function (...args) {
+        const watched = args.map((arg, index) => (Array.isArray(arg)
+            ? watch(arg, { ...options, label: `${fn.name || 'function'} argument ${index}` })
+            : arg));
+        return fn.apply(this, watched);
+    };
+}
+
+// ============================================
+// Examples
+// ============================================
+function main() {
+    // ============================================
+    // Copies Instead of Changes
+    // ============================================
+    const fruits = ["banana", "apple", "cherry", "date"];
+
+    console.log(toSorted(fruits)); // Output: ["apple", "banana", "cherry", "date"]
+    console.log(toReversed(fruits)); // Output: ["date", "cherry", "apple", "banana"]
+    // splice(1, 2) would remove from fruits itself
+    console.log(toSpliced(fruits, 1, 2)); // Output: ["banana", "date"]
+    console.log(toSpliced(fruits, 1, 0, "orange", "kiwi")); // Output: ["banana", "orange", "kiwi", "apple", "cherry", "date"]
+    console.log(withAt(fruits, -1, "elderberry")); // Output: ["banana", "apple", "cherry", "elderberry"]
+
+    // None of them touched the original
+    console.log(fruits); // Output: ["banana", "apple", "cherry", "date"]
+
+    const numbers = [14, 24, 31, 422, 5];
+    console.log(toSorted(numbers, (a, b) => a - b), numbers[0]); // Output: [ 5, 14, 24, 31, 422 ] 14
+
+    // ============================================
+    // The Fallbacks
+    // ============================================
+    // Used on Node versions without the built-in methods, with the same results
+    console.log(fallbacks.toSpliced(fruits, -1), fallbacks.withAt(fruits, 0, "fig"));
+    // Output: [ 'banana', 'apple', 'cherry' ] [ 'fig', 'apple', 'cherry', 'date' ]
+    try {
+        fallbacks.withAt(fruits, 4, "fig");
+    } catch (error) {
+        console.log(error.name); // Output: RangeError
+    }
+
+    // ============================================
+    // Catching Mutations
+    // ============================================
+    // A function that is meant to leave its input alone...
+    function firstTwoSorted(list) {
+        return list.sort().slice(0, 2);
+    }
+
+    // ...but sort() changes it. pure() stops it in the act.
+    const checked = pure(firstTwoSorted);
+    try {
+        checked(fruits);
+    } catch (error) {
+        console.log(error.name, error.message); // Output: MutationError firstTwoSorted argument 0 was changed by sort()
+    }
+    console.log(fruits); // Output: ["banana", "apple", "cherry", "date"] (stopped before it changed)
+
+    // The fixed version passes
+    const fixed = pure(function firstTwoSorted(list) {
+        return toSorted(list).slice(0, 2);
+    });
+    console.log(fixed(fruits)); // Output: ['apple', 'banana']
+
+    // Direct writes are caught too; 'warn' or a function lets the change
+    // happen and only reports it
+    const changes = [];
+    const watched = watch([1, 2, 3], { label: 'scores', onMutation: change => changes.push(change) });
+    watched[0] = 10;
+    watched.push(4);
+    watched.length = 0;
+    console.log(changes.map(change => change.method || `[${change.property}]`)); // Output: ['[0]', 'push', '[length]']
+}
+
+module.exports = {
+    toSorted,
+    toReversed,
+    toSpliced,
+    withAt,
+    fallbacks,
+    watch,
+    pure,
+    MutationError,
+    main
+};
+
+if (require.main === module) {
+    main();
+}
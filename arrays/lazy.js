@@ -0,0 +1,462 @@
+/**
+ * Lazy Sequences
+ *
+ * A chain of array methods builds a whole new array at every step:
+ *
+ *   numbers.map(square).filter(isEven).slice(0, 3)
+ *
+ * squares every number and filters all of them, only to keep three. A
+ * lazy sequence runs each element through the whole chain before looking
+ * at the next one, and stops pulling elements once it has what it needs:
+ *
+ *   lazy(numbers).map(square).filter(isEven).take(3).toArray()
+ *
+ * - Works on any iterable: arrays, strings, Sets, Maps, generators, and
+ *   infinite sequences such as range(1)
+ * - map, filter, take, flatMap, chunk and zip return new sequences and do
+ *   no work yet; reduce, toArray, forEach and first run the chain
+ * - lazyAsync() is the same for async iterables (and for callbacks that
+ *   return promises); its terminal methods return promises
+ *
+ * The gain is largest when only part of the input is needed; when every
+ * element is, the generators' overhead eats into it. See lazyBenchmark.js
+ * for numbers.
+ *
+ * Run this file to see the examples, or require it to use the helpers:
+ *   const { lazy, lazyAsync, range } = require('./lazy');
+ */
+
+// ============================================
+// Reusable Helpers
+// ============================================
+function checkIterable(iterable, symbol, name) {
+    if (iterable === null || iterable === undefined || typeof iterable[symbol] !== 'function') {
+        throw new TypeError(`${name}: expected an iterable, got ${String(iterable)}`);
+    }
+}
+
+function checkSize(size, name) {
+    if (!Number.isInteger(size) || size < 1) {
+        throw new RangeError(`${name}: size must be a positive integer, got ${size}`);
+    }
+}
+
+function checkCount(count, name) {
+    if (!Number.isInteger(count) || count < 0) {
+        throw new RangeError(`${name}: count must be a non-negative integer, got ${count}`);
+    }
+}
+
+// flatMap() flattens iterables, but not strings: flatMap(x => 'ab')
+// yields 'ab', as Array.prototype.flatMap does
+function isFlattenable(value) {
+    return value !== null && typeof value === 'object' && typeof value[Symbol.iterator] === 'function';
+}
+
+// start, start + step, ... up to (not including) end. Each value is
+// worked out from start, so 0.1 steps don't pile up rounding errors.
+function* rangeGenerator(start, end, step) {
+    for (let i = 0; ; i++) {
+        const value = start + i * step;
+        if (step > 0 ? value >= end : value <= end) return;
+        yield value;
+    }
+}
+
+// ============================================
+// Sync Sequences
+// ============================================
+// A sequence is a function that starts a new iteration, so a sequence
+// over an array can be run more than once. One over a generator can only
+// be run once, like the generator itself.
+class Seq {
+    constructor(iterate) {
+        this.iterate = iterate;
+    }
+
+    [Symbol.iterator]() {
+        return this.iterate();
+    }
+
+    map(fn) {
+        const source = this;
+        return new Seq(function* () {
+            let index = 0;
+            for (const value of source) yield fn(value, index++);
+        });
+    }
+
+    filter(fn) {
+        const source = this;
+        return new Seq(function* () {
+            let index = 0;
+            for (const value of source) {
+                if (fn(value, index++)) yield value;
+            }
+        });
+    }
+
+    // The first `count` elements. Leaving the loop early closes the
+    // source, so a generator's finally blocks run.
+    take(count) {
+        checkCount(count, 'take');
+        const source = this;
+        return new Seq(function* () {
+            if (count === 0) return;
+            let taken = 0;
+            for (const value of source) {
+                yield value;
+                if (++taken >= count) return;
+            }
+        });
+    }
+
+    flatMap(fn) {
+        const source = this;
+        return new Seq(function* () {
+            let index = 0;
+            for (const value of source) {
+                const result = fn(value, index++);
+                if (isFlattenable(result)) {
+                    yield* result;
+                } else {
+                    yield result;
+                }
+            }
+        });
+    }
+
+    // Arrays of `size` elements; the last one may be shorter
+    chunk(size) {
+        checkSize(size, 'chunk');
+        const source = this;
+        return new Seq(function* () {
+            let batch = [];
+            for (const value of source) {
+                batch.push(value);
+                if (batch.length === size) {
+                    yield batch;
+                    batch = [];
+                }
+            }
+            if (batch.length > 0) yield batch;
+        });
+    }
+
+    // [a, b, ...] tuples, until the shortest input ends
+    zip(...others) {
+        others.forEach(other => checkIterable(other, Symbol.iterator, 'zip'));
+        const source = this;
+        return new Seq(function* () {
+            const iterators = [source, ...others].map(iterable => iterable[Symbol.iterator]());
+            try {
+                while (true) {
+                    const results = iterators.map(iterator => iterator.next());
+                    if (results.some(result => result.done)) return;
+                    yield results.map(result => result.value);
+                }
+            } finally {
+                iterators.forEach(iterator => {
+                    if (typeof iterator.return === 'function') iterator.return();
+                });
+            }
+        });
+    }
+
+    reduce(fn, ...initial) {
+        let index = 0;
+        let accumulator;
+        let started = initial.length > 0;
+        if (started) accumulator = initial[0];
+        for (const value of this) {
+            if (started) {
+                accumulator = fn(accumulator, value, index);
+            } else {
+                accumulator = value;
+                started = true;
+            }
+            index++;
+        }
+        if (!started) {
+            throw new TypeError('Reduce of empty sequence with no initial value');
+        }
+        return accumulator;
+    }
+
+    forEach(fn) {
+        let index = 0;
+        for (const value of this) fn(value, index++);
+    }
+
+    // The first element, or undefined
+    first() {
+        for (const value of this) return value;
+        return undefined;
+    }
+
+    toArray() {
+        return Array.from(this);
+    }
+}
+
+function lazy(iterable) {
+    checkIterable(iterable, Symbol.iterator, 'lazy');
+    return new Seq(() => iterable[Symbol.iterator]());
+}
+
+// A lazy range of numbers; range(1) never ends, so take() from it
+function range(start = 0, end = Infinity, step = 1) {
+    [start, end, step].forEach(number => {
+        if (typeof number !== 'number' || Number.isNaN(number)) {
+            throw new TypeError(`range: expected numbers, got ${String(number)}`);
+        }
+    });
+    if (!Number.isFinite(start) || !Number.isFinite(step)) {
+        throw new RangeError('range: start and step must be finite');
+    }
+    if (step === 0) {
+        throw new RangeError('range: step cannot be 0');
+    }
+    return new Seq(() => rangeGenerator(start, end, step));
+}
+
+// ============================================
+// Async Sequences
+// ============================================
+// The same operations over async iterables (or sync ones). Callbacks
+// may return promises; they are awaited one element at a time.
+class AsyncSeq {
+    constructor(iterate) {
+        this.iterate = iterate;
+    }
+
+    [Symbol.asyncIterator]() {
+        return this.iterate();
+    }
+
+    map(fn) {
+        const source = this;
+        return new AsyncSeq(async function* () {
+            let index = 0;
+            for await (const value of source) yield await fn(value, index++);
+        });
+    }
+
+    filter(fn) {
+        const source = this;
+        return new AsyncSeq(async function* () {
+            let index = 0;
+            for await (const value of source) {
+                if (await fn(value, index++)) yield value;
+            }
+        });
+    }
+
+    take(count) {
+        checkCount(count, 'take');
+        const source = this;
+        return new AsyncSeq(async function* () {
+            if (count === 0) return;
+            let taken = 0;
+            for await (const value of source) {
+                yield value;
+                if (++taken >= count) return;
+            }
+        });
+    }
+
+    flatMap(fn) {
+        const source = this;
+        return new AsyncSeq(async function* () {
+            let index = 0;
+            for await (const value of source) {
+                const result = await fn(value, index++);
+                if (isFlattenable(result) || (result && typeof result[Symbol.asyncIterator] === 'function')) {
+                    yield* result;
+                } else {
+                    yield result;
+                }
+            }
+        });
+    }
+
+    chunk(size) {
+        checkSize(size, 'chunk');
+        const source = this;
+        return new AsyncSeq(async function* () {
+            let batch = [];
+            for await (const value of source) {
+                batch.push(value);
+                if (batch.length === size) {
+                    yield batch;
+                    batch = [];
+                }
+            }
+            if (batch.length > 0) yield batch;
+        });
+    }
+
+    zip(...others) {
+        others.forEach(other => {
+            if (other === null || other === undefined || typeof other[Symbol.asyncIterator] !== 'function') {
+                checkIterable(other, Symbol.iterator, 'zip');
+            }
+        });
+        const source = this;
+        return new AsyncSeq(async function* () {
+            const iterators = [source, ...others].map(iterable => (typeof iterable[Symbol.asyncIterator] === 'function'
+                ? iterable[Symbol.asyncIterator]()
+                : iterable[Symbol.iterator]()));
+            try {
+                while (true) {
+                    const results = await Promise.all(iterators.map(iterator => iterator.next()));
+                    if (results.some(result => result.done)) return;
+                    yield results.map(result => result.value);
+                }
+            } finally {
+                await Promise.all(iterators.map(iterator => (typeof iterator.return === 'function' ? iterator.return() : undefined)));
+            }
+        });
+    }
+
+    async reduce(fn, ...initial) {
+        let index = 0;
+        let accumulator;
+        let started = initial.length > 0;
+        if (started) accumulator = initial[0];
+        for await (const value of this) {
+            if (started) {
+                accumulator = await fn(accumulator, value, index);
+            } else {
+                accumulator = value;
+                started = true;
+            }
+            index++;
+        }
+        if (!started) {
+            throw new TypeError('Reduce of empty sequence with no initial value');
+        }
+        return accumulator;
+    }
+
+    async forEach(fn) {
+        let index = 0;
+        for await (const value of this) await fn(value, index++);
+    }
+
+    async first() {
+        for await (const value of this) return value;
+        return undefined;
+    }
+
+    async toArray() {
+        const values = [];
+        for await (const value of this) values.push(value);
+        return values;
+    }
+}
+
+function lazyAsync(iterable) {
+    if (iterable !== null && iterable !== undefined && typeof iterable[Symbol.asyncIterator] === 'function') {
+        return new AsyncSeq(() => iterable[Symbol.asyncIterator]());
+    }
+    checkIterable(iterable, Symbol.iterator, 'lazyAsync');
+    return new AsyncSeq(async function* () {
+        yield* iterable;
+    });
+}
+
+// ============================================
+// Examples
+// ============================================
+async function main() {
+    // ============================================
+    // One Element at a Time
+    // ============================================
+    // The array chain maps everything, then filters everything...
+    const steps = [];
+    [1, 2, 3, 4]
+        .map(n => { steps.push(`map ${n}`); return n * n; })
+        .filter(n => { steps.push(`filter ${n}`); return n % 2 === 0; })
+        .slice(0, 1);
+    console.log(steps.join(', ')); // Output: map 1, map 2, map 3, map 4, filter 1, filter 4, filter 9, filter 16
+
+    // ...the lazy one takes each number through the chain, and stops
+    // as soon as it has one result
+    steps.length = 0;
+    lazy([1, 2, 3, 4])
+        .map(n => { steps.push(`map ${n}`); return n * n; })
+        .filter(n => { steps.push(`filter ${n}`); return n % 2 === 0; })
+        .take(1)
+        .toArray();
+    console.log(steps.join(', ')); // Output: map 1, filter 1, map 2, filter 4
+
+    // So it can work on sequences that never end
+    const squares = range(1).map(n => n * n);
+    console.log(squares.filter(n => n % 2 === 0).take(3).toArray()); // Output: [4, 16, 36]
+
+    // ============================================
+    // Any Iterable
+    // ============================================
+    console.log(lazy('hello').map(char => char.toUpperCase()).toArray().join('')); // Output: HELLO
+    const ages = new Map([['Alice', 25], ['Bob', 10], ['Charlie', 35]]);
+    console.log(lazy(ages).filter(([, age]) => age > 18).map(([name]) => name).toArray()); // Output: ['Alice', 'Charlie']
+
+    // Two arrays, filtered without building [...arr3, ...arr4] first
+    const arr3 = [1, 2, 3, 4, 5];
+    const arr4 = [6, 7, 8, 9, 10];
+    console.log(lazy([arr3, arr4]).flatMap(arr => arr).filter(num => num % 2 === 0).toArray()); // Output: [2, 4, 6, 8, 10]
+
+    // ============================================
+    // chunk, zip and reduce
+    // ============================================
+    console.log(range(1, 8).chunk(3).toArray()); // Output: [[1, 2, 3], [4, 5, 6], [7]]
+    console.log(lazy(['a', 'b', 'c']).zip(range(1), 'xy').toArray()); // Output: [['a', 1, 'x'], ['b', 2, 'y']]
+    console.log(range(1, 101).reduce((sum, n) => sum + n, 0)); // Output: 5050
+    // Fractional steps end where they should: 0 to 0.9, not 0.9999999999999999
+    console.log(range(0, 1, 0.1).toArray().length); // Output: 10
+
+    // take() closes the generator it reads from, so its cleanup runs
+    let closed = false;
+    function* readLines() {
+        try {
+            yield 'line 1';
+            yield 'line 2';
+            yield 'line 3';
+        } finally {
+            closed = true;
+        }
+    }
+    console.log(lazy(readLines()).take(2).toArray(), closed); // Output: [ 'line 1', 'line 2' ] true
+
+    // ============================================
+    // Async Sequences
+    // ============================================
+    // Pages from an API, fetched only when the next one is needed
+    const fetched = [];
+    async function* fetchPages() {
+        for (let page = 1; page <= 5; page++) {
+            fetched.push(page);
+            yield await Promise.resolve([`user${page * 2 - 1}`, `user${page * 2}`]);
+        }
+    }
+    const firstThree = await lazyAsync(fetchPages())
+        .flatMap(users => users)
+        .map(async user => user.toUpperCase())
+        .take(3)
+        .toArray();
+    console.log(firstThree, fetched); // Output: [ 'USER1', 'USER2', 'USER3' ] [ 1, 2 ]
+}
+
+module.exports = {
+    lazy,
+    lazyAsync,
+    range,
+    Seq,
+    AsyncSeq,
+    main
+};
+
+if (require.main === module) {
+    main();
+}
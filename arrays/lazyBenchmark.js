@@ -0,0 +1,92 @@
+/**
+ * Lazy vs Eager Benchmark
+ *
+ * Times the same pipelines written as array chains (map/filter/reduce,
+ * each building a new array) and as lazy sequences (see lazy.js):
+ *
+ * - "first 10": only a few results are needed. The array chain still
+ *   processes every element; the lazy one stops after ten.
+ * - "sum of all": every element is needed, so nothing can be skipped.
+ *   The lazy chain still avoids the in-between arrays, but each element
+ *   goes through a generator per step; which side wins depends on the
+ *   engine and on how much work the callbacks do.
+ *
+ * The numbers depend on the machine and the Node version, so this file is
+ * not part of the topics that npm start and npm test run. Run it directly:
+ *
+ *   node lazyBenchmark.js               # 1,000,000 elements
+ *   node lazyBenchmark.js --size=100000
+ */
+
+const assert = require('assert');
+const { lazy } = require('./lazy');
+
+// ============================================
+// Reusable Helpers
+// ============================================
+// The median time of `runs` calls of fn, in milliseconds, after one
+// warm-up call. Also returns fn's result, to check both sides agree.
+function measure(fn, runs = 5) {
+    let result = fn();
+    const times = [];
+    for (let i = 0; i < runs; i++) {
+        const start = process.hrtime.bigint();
+        result = fn();
+        times.push(Number(process.hrtime.bigint() - start) / 1e6);
+    }
+    times.sort((a, b) => a - b);
+    return { ms: times[Math.floor(times.length / 2)], result };
+}
+
+const square = n => n * n;
+const isEven = n => n % 2 === 0;
+
+const pipelines = {
+    'first 10': {
+        eager: numbers => numbers.map(square).filter(isEven).slice(0, 10),
+        lazy: numbers => lazy(numbers).map(square).filter(isEven).take(10).toArray()
+    },
+    'sum of all': {
+        eager: numbers => numbers.map(square).filter(isEven).reduce((sum, n) => sum + n, 0),
+        lazy: numbers => lazy(numbers).map(square).filter(isEven).reduce((sum, n) => sum + n, 0)
+    }
+};
+
+// ============================================
+// Running the Benchmark
+// ============================================
+function main() {
+    const sizeArg = process.argv.find(arg => arg.startsWith('--size='));
+    const size = sizeArg ? Number(sizeArg.slice('--size='.length)) : 1000000;
+    if (!Number.isInteger(size) || size < 1) {
+        console.error(`Invalid --size: ${sizeArg}`);
+        process.exitCode = 1;
+        return;
+    }
+    const numbers = Array.from({ length: size }, (_, i) => i);
+
+    console.log(`${size.toLocaleString('en-US')} numbers, median of 5 runs (Node ${process.version})`);
+    console.log('');
+    console.log(`${'pipeline'.padEnd(12)}${'eager'.padStart(12)}${'lazy'.padStart(12)}   faster`);
+    Object.entries(pipelines).forEach(([name, pipeline]) => {
+        const eager = measure(() => pipeline.eager(numbers));
+        const lazyRun = measure(() => pipeline.lazy(numbers));
+        assert.deepStrictEqual(lazyRun.result, eager.result);
+        const ratio = eager.ms > lazyRun.ms ? eager.ms / lazyRun.ms : lazyRun.ms / eager.ms;
+        const winner = eager.ms > lazyRun.ms ? 'lazy' : 'eager';
+        console.log(
+            `${name.padEnd(12)}${`${eager.ms.toFixed(2)}ms`.padStart(12)}${`${lazyRun.ms.toFixed(2)}ms`.padStart(12)}` +
+            `   ${winner} (${ratio.toFixed(1)}x)`
+        );
+    });
+}
+
+module.exports = {
+    measure,
+    pipelines,
+    main
+};
+
+if (require.main === module) {
+    main();
+}
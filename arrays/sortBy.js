@@ -0,0 +1,186 @@
+/**
+ * Sorting by Several Keys
+ *
+ * sort() without a comparator compares strings by UTF-16 code units, so
+ * "item10" comes before "item2" and "Zoe" before "adam". (a, b) => a - b
+ * only works for numbers, and sorting by city, then by age, newest first,
+ * means writing the comparator by hand every time.
+ *
+ * sortBy(keys) builds the comparator:
+ *
+ *   users.sort(sortBy(['city', '-age']));
+ *
+ * - A key is a property name ('city', or a path like 'address.city'), a
+ *   function (user => user.age), or { key, order, nulls } for full control
+ * - '-age' (or order: 'desc') sorts that key in descending order
+ * - Strings are compared with Intl.Collator: letters in dictionary order
+ *   for the locale, and digits as numbers, so "item2" < "item10"
+ * - null, undefined and NaN go last (or first with nulls: 'first'), in
+ *   either order
+ * - Numbers, bigints, Dates and booleans compare by value
+ *
+ * sort() has been stable since ES2019 (Node 12); sorted(array, keys)
+ * guarantees it anyway by falling back to the original position, and
+ * returns a new array instead of sorting in place.
+ *
+ * Run this file to see the examples, or require it to use the helpers:
+ *   const { sortBy, sorted } = require('./sortBy');
+ */
+
+const { getIn } = require('../objects/paths');
+
+// ============================================
+// Reusable Helpers
+// ============================================
+function isMissing(value) {
+    return value === null || value === undefined || Number.isNaN(value);
+}
+
+// 'age', '-age', item => item.age or { key, order, nulls, collator }
+// -> { read, direction, nulls, collator }
+function normalizeKey(key, defaults) {
+    const spec = typeof key === 'object' && key !== null ? key : { key };
+    let { key: field, order = 'asc' } = spec;
+    if (typeof field === 'string' && field.startsWith('-')) {
+        field = field.slice(1);
+        order = 'desc';
+    }
+    if (order !== 'asc' && order !== 'desc') {
+        throw new RangeError(`sortBy: order must be "asc" or "desc", got ${JSON.stringify(order)}`);
+    }
+    const nulls = spec.nulls || defaults.nulls;
+    if (nulls !== 'first' && nulls !== 'last') {
+        throw new RangeError(`sortBy: nulls must be "first" or "last", got ${JSON.stringify(nulls)}`);
+    }
+    return {
+        read: typeof field === 'function' ? field : item => getIn(item, field),
+        direction: order === 'desc' ? -1 : 1,
+        nulls,
+        collator: spec.collator || defaults.collator
+    };
+}
+
+// Compares two values that are both present: -1, 0 or 1
+function compareValues(a, b, collator) {
+    if (typeof a === 'string' && typeof b === 'string') {
+        return Math.sign(collator.compare(a, b));
+    }
+    const x = a instanceof Date ? a.getTime() : a;
+    const y = b instanceof Date ? b.getTime() : b;
+    if (typeof x !== typeof y) {
+        // Mixed types: fall back to comparing them as text
+        return Math.sign(collator.compare(String(x), String(y)));
+    }
+    if (x < y) return -1;
+    if (x > y) return 1;
+    return 0;
+}
+
+// A comparator for sort(). `keys` is one key or a list of them; later
+// keys break ties between earlier ones.
+// Options (shared by every key; a key's own settings win):
+//   locale      the Intl.Collator locale (default: the runtime's)
+//   numeric     compare digits in strings as numbers (default: true)
+//   sensitivity 'base' ignores case and accents, 'variant' (default) doesn't
+//   nulls       'last' (default) or 'first'
+//   collator    an Intl.Collator to use instead
+function sortBy(keys, { locale, numeric = true, sensitivity = 'variant', nulls = 'last', collator } = {}) {
+    const defaults = {
+        nulls,
+        collator: collator || new Intl.Collator(locale, { numeric, sensitivity })
+    };
+    const specs = (Array.isArray(keys) ? keys : [keys]).map(key => normalizeKey(key, defaults));
+
+    return (a, b) => {
+        for (const { read, direction, nulls: placement, collator: compareWith } of specs) {
+            const x = read(a);
+            const y = read(b);
+            let result;
+            if (isMissing(x) || isMissing(y)) {
+                // Not reversed by direction: nulls stay where they were asked to be
+                const before = placement === 'first' ? -1 : 1;
+                result = isMissing(x) && isMissing(y) ? 0 : isMissing(x) ? before : -before;
+            } else {
+                result = direction * compareValues(x, y, compareWith);
+            }
+            if (result !== 0) return result;
+        }
+        return 0;
+    };
+}
+
+// A sorted copy of `array`. Items that compare equal keep their order,
+// whatever the engine's sort() does.
+function sorted(array, keys, options) {
+    const compare = sortBy(keys, options);
+    return Array.from(array, (item, index) => ({ item, index }))
+        .sort((a, b) => compare(a.item, b.item) || a.index - b.index)
+        .map(({ item }) => item);
+}
+
+// ============================================
+// Examples
+// ============================================
+function main() {
+    // The people from objects/object.js, with a few more
+    const data = [
+        { name: "Alice", age: 25, city: "New York" },
+        { name: "Bob", age: 10, city: "Los Angeles" },
+        { name: "Charlie", age: 35, city: "New York" },
+        { name: "David", age: 30, city: "Chicago" },
+        { name: "émile", age: 30, city: null },
+        { name: "bea", age: 25, city: "Chicago" }
+    ];
+    const names = people => people.map(person => person.name).join(', ');
+
+    // ============================================
+    // Several Keys, Ascending and Descending
+    // ============================================
+    // By city; within a city, oldest first. No city goes last.
+    console.log(names(sorted(data, ['city', '-age'])));
+    // Output: David, bea, Bob, Charlie, Alice, émile
+
+    // The same comparator works with sort() (which changes the array)
+    const byAgeThenName = data.slice().sort(sortBy(['age', 'name']));
+    console.log(names(byAgeThenName)); // Output: Bob, Alice, bea, David, émile, Charlie
+
+    // ============================================
+    // Locale-Aware Strings
+    // ============================================
+    // The default sort() puts capitals first and accents last
+    console.log(data.map(person => person.name).sort().join(', ')); // Output: Alice, Bob, Charlie, David, bea, émile
+    console.log(names(sorted(data, 'name', { locale: 'en' }))); // Output: Alice, bea, Bob, Charlie, David, émile
+
+    // Digits compare as numbers
+    const files = ['item10', 'item2', 'item1'];
+    console.log(files.slice().sort(), sorted(files, item => item)); // Output: [ 'item1', 'item10', 'item2' ] [ 'item1', 'item2', 'item10' ]
+
+    // ============================================
+    // Missing Values
+    // ============================================
+    const tasks = [
+        { title: 'Write docs', due: new Date('2024-03-01') },
+        { title: 'Fix bug', due: null },
+        { title: 'Release', due: new Date('2024-02-01') }
+    ];
+    const titles = list => list.map(task => task.title);
+    console.log(titles(sorted(tasks, 'due'))); // Output: ['Release', 'Write docs', 'Fix bug']
+    // Descending order doesn't move them: nulls decides
+    console.log(titles(sorted(tasks, { key: 'due', order: 'desc', nulls: 'first' }))); // Output: ['Fix bug', 'Write docs', 'Release']
+
+    // ============================================
+    // Stability
+    // ============================================
+    // Alice and bea are both 25: they stay in their original order
+    console.log(names(sorted(data, 'age').filter(person => person.age === 25))); // Output: Alice, bea
+}
+
+module.exports = {
+    sortBy,
+    sorted,
+    main
+};
+
+if (require.main === module) {
+    main();
+}
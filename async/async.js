@@ -3,59 +3,20 @@
  * 
  * JavaScript is single-threaded but handles asynchronous operations
  * through callbacks, promises, and async/await syntax.
+ *
+ * Run this file to see the examples, or require it to use the helpers:
+ *   const { fetchData, processData } = require('./async');
  */
 
-// ============================================
-// Understanding Asynchronous Execution
-// ============================================
-console.log("Start");
-setTimeout(() => {
-    console.log("Timeout executed after 2 seconds");
-}, 2000);
-console.log("End");
-// Output:
-// Start
-// End
-// Timeout executed after 2 seconds
-
-// ============================================
-// Callbacks - Basic Example
-// ============================================
-function greet(name, callback) {
-    console.log(`Hello ${name}`);
-    callback();
-}
-
-function sayGoodbye() {
-    console.log("Goodbye!");
-}
-
-greet("John", sayGoodbye);
-// Output:
-// Hello John
-// Goodbye!
+const { retry, sleep } = require('./retry');
+const { pool } = require('./pool');
+const { withTimeout } = require('./timeout');
 
 // ============================================
-// Callbacks with setTimeout
+// Reusable Helpers
 // ============================================
-function greetDelayed() {
-    console.log("Hello");
-}
-
-function sayName(name) {
-    console.log(`Hello ${name}`);
-}
-
-setTimeout(greetDelayed, 2000); // Executes after 2 seconds
-sayName("Alice"); // Executes immediately
-// Output:
-// Hello Alice
-// Hello (after 2 seconds)
-
-// ============================================
-// Callback Hell (Nested Callbacks)
-// ============================================
-// This creates deeply nested, hard-to-read code
+// Three steps that each finish after a second and then call back.
+// Chaining them creates deeply nested, hard-to-read code (see main)
 const firstFunction = (callback) => {
     setTimeout(() => {
         console.log("First function executed");
@@ -76,147 +37,17 @@ const thirdFunction = () => {
     }, 1000);
 };
 
-// Callback hell - nested callbacks
-firstFunction(() => {
-    secondFunction(() => {
-        thirdFunction();
-    });
-});
-// Output (after delays):
-// First function executed
-// Second function executed
-// Third function executed
-
-// ============================================
-// Promises - Better Solution
-// ============================================
-// Basic Promise
-const promise = new Promise((resolve, reject) => {
-    setTimeout(() => {
-        const success = true;
-        if (success) {
-            resolve("Promise resolved!");
-        } else {
-            reject("Promise rejected!");
-        }
-    }, 2000);
-});
-
-promise
-    .then(result => console.log(result))
-    .catch(error => console.error(error));
-// Output: Promise resolved! (after 2 seconds)
-
-// ============================================
-// Promise Chaining
-// ============================================
-function fetchData() {
-    return new Promise((resolve) => {
-        setTimeout(() => resolve({ data: "User data" }), 1000);
-    });
-}
-
-function processData(data) {
-    return new Promise((resolve) => {
-        setTimeout(() => resolve({ ...data, processed: true }), 1000);
-    });
-}
-
-fetchData()
-    .then(data => {
-        console.log("Data fetched:", data);
-        return processData(data);
-    })
-    .then(processedData => {
-        console.log("Data processed:", processedData);
-    })
-    .catch(error => {
-        console.error("Error:", error);
-    });
-
-// ============================================
-// Fetch API with Promises
-// ============================================
-// Example with a real API (commented out to avoid errors if offline)
-/*
-fetch('https://api.github.com/users/octocat')
-    .then(response => {
-        if (!response.ok) {
-            throw new Error('Network response was not ok');
-        }
-        return response.json();
-    })
-    .then(data => {
-        console.log('User data:', data);
-    })
-    .catch(error => {
-        console.error('Error:', error);
-    });
-*/
-
-// ============================================
-// Async/Await - Modern Approach
-// ============================================
-// Async functions always return a Promise
-async function myAsyncFunction() {
-    try {
-        const result = await Promise.resolve("Success!");
-        console.log(result);
-        return result;
-    } catch (error) {
-        console.error('Error:', error);
-    }
-}
-
-myAsyncFunction(); // Output: Success!
-
-// ============================================
-// Important: await can only be used in async functions
-// ============================================
-// ❌ This will cause a SyntaxError
-/*
-function regularFunction() {
-    let promise = Promise.resolve(3);
-    let result = await promise; // SyntaxError: await is only valid in async functions
-}
-*/
-
-// ✅ Correct way
-async function asyncFunction() {
-    let promise = Promise.resolve(3);
-    let result = await promise;
-    console.log(result); // Output: 3
-    return result;
-}
-
-// ============================================
-// Async Functions Always Return Promises
-// ============================================
-// Explicit return
-async function myFunction() {
-    console.log("Hello from async function!");
-    const result = await Promise.resolve(42);
-    return result;
+// Simulated network calls, chained with promises. Each one can be
+// cancelled with an AbortSignal, which also clears its pending timer.
+function fetchData({ signal } = {}) {
+    return sleep(1000, signal).then(() => ({ data: "User data" }));
 }
 
-// Implicit return (returns undefined wrapped in Promise)
-async function myFunction1() {
-    console.log("Hello from async function!");
+function processData(data, { signal } = {}) {
+    return sleep(1000, signal).then(() => ({ ...data, processed: true }));
 }
 
-const promise1 = myFunction();
-const promise2 = myFunction1();
-
-console.log(promise1); // Output: Promise { <pending> }
-console.log(promise2); // Output: Promise { <pending> }
-
-// To get the actual values:
-promise1.then(value => console.log("Value:", value)); // Output: Value: 42
-promise2.then(value => console.log("Value:", value)); // Output: Value: undefined
-
-// ============================================
-// Error Handling with Async/Await
-// ============================================
+// Simulated API call that fails half of the time
 async function fetchDataWithErrorHandling() {
     try {
         // Simulate API call
@@ -239,11 +70,7 @@ async function fetchDataWithErrorHandling() {
     }
 }
 
-fetchDataWithErrorHandling();
-
-// ============================================
-// Parallel Execution with Promise.all()
-// ============================================
+// Parallel execution with Promise.all()
 async function fetchMultipleData() {
     const promise1 = Promise.resolve("Data 1");
     const promise2 = Promise.resolve("Data 2");
@@ -255,11 +82,7 @@ async function fetchMultipleData() {
     // Output: All results: ["Data 1", "Data 2", "Data 3"]
 }
 
-fetchMultipleData();
-
-// ============================================
-// Promise.allSettled() - Wait for all, regardless of success/failure
-// ============================================
+// Promise.allSettled() waits for all, regardless of success/failure
 async function fetchWithAllSettled() {
     const promises = [
         Promise.resolve("Success 1"),
@@ -269,6 +92,264 @@ async function fetchWithAllSettled() {
     
     const results = await Promise.allSettled(promises);
     console.log("All settled:", results);
-    // Output: Array with status and value/reason for each promise
+    // Output:
+    // All settled: [
+    //   { status: 'fulfilled', value: 'Success 1' },
+    //   { status: 'rejected', reason: 'Error 1' },
+    //   { status: 'fulfilled', value: 'Success 2' }
+    // ]
+}
+
+// ============================================
+// Examples
+// ============================================
+function main() {
+    // ============================================
+    // Understanding Asynchronous Execution
+    // ============================================
+    console.log("Start");
+    setTimeout(() => {
+        console.log("Timeout executed after 2 seconds");
+    }, 2000);
+    console.log("End");
+    // Output:
+    // Start
+    // End
+    // Timeout executed after 2 seconds
+
+    // ============================================
+    // Callbacks - Basic Example
+    // ============================================
+    function greet(name, callback) {
+        console.log(`Hello ${name}`);
+        callback();
+    }
+
+    function sayGoodbye() {
+        console.log("Goodbye!");
+    }
+
+    greet("John", sayGoodbye);
+    // Output:
+    // Hello John
+    // Goodbye!
+
+    // ============================================
+    // Callbacks with setTimeout
+    // ============================================
+    function greetDelayed() {
+        console.log("Hello");
+    }
+
+    function sayName(name) {
+        console.log(`Hello ${name}`);
+    }
+
+    setTimeout(greetDelayed, 2000); // Executes after 2 seconds
+    sayName("Alice"); // Executes immediately
+    // Output:
+    // Hello Alice
+    // Hello (after 2 seconds)
+
+    // ============================================
+    // Callback Hell (Nested Callbacks)
+    // ============================================
+    // Callback hell - nested callbacks
+    firstFunction(() => {
+        secondFunction(() => {
+            thirdFunction();
+        });
+    });
+    // Output (after delays):
+    // First function executed
+    // Second function executed
+    // Third function executed
+
+    // ============================================
+    // Promises - Better Solution
+    // ============================================
+    // Basic Promise
+    const promise = new Promise((resolve, reject) => {
+        setTimeout(() => {
+            const success = true;
+            if (success) {
+                resolve("Promise resolved!");
+            } else {
+                reject("Promise rejected!");
+            }
+        }, 2000);
+    });
+
+    promise
+        .then(result => console.log(result))
+        .catch(error => console.error(error));
+    // Output: Promise resolved! (after 2 seconds)
+
+    // ============================================
+    // Promise Chaining
+    // ============================================
+    fetchData()
+        .then(data => {
+            console.log("Data fetched:", data);
+            return processData(data);
+        })
+        .then(processedData => {
+            console.log("Data processed:", processedData);
+        })
+        .catch(error => {
+            console.error("Error:", error);
+        });
+
+    // ============================================
+    // Timeouts and Cancellation
+    // ============================================
+    // withTimeout (see timeout.js) stops waiting for a slow operation, and
+    // aborts the signal it passes on, so fetchData clears its timer too
+    withTimeout(({ signal }) => fetchData({ signal }), 500)
+        .catch(error => console.log(error.message)); // Output: Timed out after 500ms
+
+    // The same signal can go to every step of a chain: aborting it stops
+    // the step in progress and skips the rest
+    const controller = new AbortController();
+    fetchData({ signal: controller.signal })
+        .then(data => processData(data, { signal: controller.signal }))
+        .then(result => console.log("Processed:", result))
+        .catch(error => console.log("Cancelled:", error.name)); // Output: Cancelled: AbortError
+    controller.abort();
+
+    // ============================================
+    // Fetch API with Promises
+    // ============================================
+    // Example with a real API (commented out to avoid errors if offline)
+    /*
+    fetch('https://api.github.com/users/octocat')
+        .then(response => {
+            if (!response.ok) {
+                throw new Error('Network response was not ok');
+            }
+            return response.json();
+        })
+        .then(data => {
+            console.log('User data:', data);
+        })
+        .catch(error => {
+            console.error('Error:', error);
+        });
+    */
+
+    // ============================================
+    // Async/Await - Modern Approach
+    // ============================================
+    // Async functions always return a Promise
+    async function myAsyncFunction() {
+        try {
+            const result = await Promise.resolve("Success!");
+            console.log(result);
+            return result;
+        } catch (error) {
+            console.error('Error:', error);
+        }
+    }
+
+    myAsyncFunction(); // Output: Success!
+
+    // ============================================
+    // Important: await can only be used in async functions
+    // ============================================
+    // ❌ This will cause a SyntaxError
+    /*
+    function regularFunction() {
+        let promise = Promise.resolve(3);
+        let result = await promise; // SyntaxError: await is only valid in async functions
+    }
+    */
+
+    // ✅ Correct way
+    async function asyncFunction() {
+        let promise = Promise.resolve(3);
+        let result = await promise;
+        console.log(result); // Output: 3
+        return result;
+    }
+
+    asyncFunction();
+
+    // ============================================
+    // Async Functions Always Return Promises
+    // ============================================
+    // Explicit return
+    async function myFunction() {
+        console.log("Hello from async function!");
+        const result = await Promise.resolve(42);
+        return result;
+    }
+
+    // Implicit return (returns undefined wrapped in Promise)
+    async function myFunction1() {
+        console.log("Hello from async function!");
+    }
+
+    const promise1 = myFunction();
+    const promise2 = myFunction1();
+
+    // myFunction is still waiting at its await; myFunction1 has no await, so
+    // its promise is already fulfilled by the time we log it
+    console.log(promise1); // Output: Promise { <pending> }
+    console.log(promise2); // Output: Promise { undefined }
+
+    // To get the actual values:
+    promise1.then(value => console.log("Value:", value)); // Output: Value: 42
+    promise2.then(value => console.log("Value:", value)); // Output: Value: undefined
+
+    // ============================================
+    // Error Handling with Async/Await
+    // ============================================
+    // The error is logged and re-thrown, so the caller still has to handle
+    // it. A network error may not happen again, so retry() (see retry.js)
+    // calls it up to 3 times, waiting a little longer before each attempt
+    retry(fetchDataWithErrorHandling, { attempts: 3 })
+        .catch(error => console.error(error.message));
+
+    // ============================================
+    // Parallel Execution with Promise.all()
+    // ============================================
+    fetchMultipleData();
+
+    // ============================================
+    // Promise.allSettled() - Wait for all, regardless of success/failure
+    // ============================================
+    fetchWithAllSettled();
+
+    // ============================================
+    // Limiting Concurrency with pool()
+    // ============================================
+    // Promise.all() gets promises, so every request has already started.
+    // pool() (see pool.js) gets functions and starts at most `concurrency`
+    // of them at a time; the results still come back in order
+    const requests = [1, 2, 3, 4].map(id => () => fetchData().then(({ data }) => `${data} ${id}`));
+    pool(requests, { concurrency: 2 }).then(results => console.log("Pooled:", results));
+    // Output: Pooled: ['User data 1', 'User data 2', 'User data 3', 'User data 4']
+
+    // ============================================
+    // Async Iteration and Streams
+    // ============================================
+    // Paginated and streamed data arrive a piece at a time: for await...of,
+    // async generators, backpressure and Node streams are covered in
+    // asyncIteration.js
 }
 
+module.exports = {
+    firstFunction,
+    secondFunction,
+    thirdFunction,
+    fetchData,
+    processData,
+    fetchDataWithErrorHandling,
+    fetchMultipleData,
+    fetchWithAllSettled,
+    main
+};
+
+if (require.main === module) {
+    main();
+}
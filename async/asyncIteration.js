@@ -0,0 +1,331 @@
+/**
+ * Async Iteration and Streams
+ *
+ * Paginated APIs, files and sockets deliver data a piece at a time.
+ * Async iterables model that: `for await...of` asks for the next piece,
+ * waits for it, and only then asks for another, so the consumer sets the
+ * pace and nothing is read ahead that isn't needed.
+ *
+ * - paginate(fetchPage) is an async generator over every item of every
+ *   page; the next page is fetched only when the loop gets to it, and
+ *   leaving the loop early stops the fetching
+ * - map, filter, batch, throttle and lines are transforms: each one takes
+ *   an async iterable and returns another. pipe(source, ...steps) chains
+ *   them, and stream.pipeline() accepts them as steps too.
+ * - consume(source, handler, { concurrency }) runs a handler per item,
+ *   only pulling the next item when a handler is free (backpressure)
+ * - Readable.from(iterable) turns any of these into a Node readable
+ *   stream, and readable streams are async iterables themselves
+ *
+ * fetchUsersPage() is a simulated paginated API, built like fetchData in
+ * async.js, so everything here runs offline.
+ *
+ * Run this file to see the examples, or require it to use the helpers:
+ *   const { paginate, pipe, map, filter, batch, consume } = require('./asyncIteration');
+ */
+
+const { StringDecoder } = require('string_decoder');
+const { sleep, abortReason } = require('./retry');
+
+// ============================================
+// A Paginated Source
+// ============================================
+// The "database" behind the simulated API: every third user is inactive
+const USERS = Array.from({ length: 10 }, (_, i) => ({ id: i + 1, name: `User ${i + 1}`, active: i % 3 !== 2 }));
+
+// One page of users after `latency` ms, like fetchData; the signal
+// cancels the request. Returns { items, nextCursor }, where nextCursor
+// is null on the last page.
+function fetchUsersPage(cursor = 0, { pageSize = 3, latency = 200, signal } = {}) {
+    return sleep(latency, signal).then(() => {
+        const next = cursor + pageSize;
+        return {
+            items: USERS.slice(cursor, next),
+            nextCursor: next < USERS.length ? next : null
+        };
+    });
+}
+
+// Every item of every page. fetchPage(cursor, { signal }) returns
+// { items, nextCursor }; the first call gets `cursor` (undefined by
+// default), and iteration ends when nextCursor is null or undefined.
+async function* paginate(fetchPage, { cursor, signal } = {}) {
+    let next = cursor;
+    do {
+        const { items, nextCursor } = await fetchPage(next, { signal });
+        yield* items;
+        next = nextCursor;
+    } while (next !== null && next !== undefined);
+}
+
+// ============================================
+// Transforms
+// ============================================
+// Each transform returns an async generator function that takes the
+// source: map(fn)(source) is an async iterable. The source can be any
+// iterable, sync or async, including a readable stream.
+function map(fn) {
+    return async function* (source) {
+        let index = 0;
+        for await (const item of source) yield await fn(item, index++);
+    };
+}
+
+function filter(fn) {
+    return async function* (source) {
+        let index = 0;
+        for await (const item of source) {
+            if (await fn(item, index++)) yield item;
+        }
+    };
+}
+
+// Arrays of `size` items; the last one may be shorter
+function batch(size) {
+    if (!Number.isInteger(size) || size < 1) {
+        throw new RangeError(`batch: size must be a positive integer, got ${size}`);
+    }
+    return async function* (source) {
+        let items = [];
+        for await (const item of source) {
+            items.push(item);
+            if (items.length === size) {
+                yield items;
+                items = [];
+            }
+        }
+        if (items.length > 0) yield items;
+    };
+}
+
+// At most one item every `interval` ms, for an API that allows only so
+// many calls per second. The first item passes at once; a consumer that
+// is slower than the limit is never held back further.
+function throttle(interval, { signal } = {}) {
+    return async function* (source) {
+        let last = -Infinity;
+        for await (const item of source) {
+            const wait = last + interval - Date.now();
+            if (wait > 0) await sleep(wait, signal);
+            last = Date.now();
+            yield item;
+        }
+    };
+}
+
+// Text lines from chunks of text (strings or Buffers), wherever the
+// chunks were cut: in the middle of a line, between \r and \n, or in the
+// middle of a multi-byte character
+function lines() {
+    return async function* (source) {
+        const decoder = new StringDecoder('utf8');
+        let rest = '';
+        for await (const chunk of source) {
+            rest += typeof chunk === 'string' ? chunk : decoder.write(chunk);
+            const complete = rest.split(/\r?\n/);
+            rest = complete.pop();
+            yield* complete;
+        }
+        rest += decoder.end();
+        if (rest !== '') yield rest;
+    };
+}
+
+// source, then each step in turn: pipe(source, filter(fn), batch(10))
+function pipe(source, ...steps) {
+    return steps.reduce((iterable, step) => step(iterable), source);
+}
+
+// ============================================
+// Consuming with Backpressure
+// ============================================
+// Runs handler(item, index) for every item, at most `concurrency` at a
+// time. The next item is only pulled from the source when a handler is
+// free, so the source never runs more than `concurrency` items ahead.
+// The first error (or aborting the signal) stops pulling items; the
+// handlers already running finish, then consume() rejects with it.
+async function consume(source, handler, { concurrency = 1, signal } = {}) {
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+        throw new RangeError(`concurrency must be a positive integer, got ${concurrency}`);
+    }
+    const running = new Set();
+    let failure = null;
+    let index = 0;
+
+    const fail = error => {
+        if (!failure) failure = { error };
+    };
+    const onAbort = () => fail(abortReason(signal));
+    if (signal && signal.aborted) throw abortReason(signal);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+    try {
+        for await (const item of source) {
+            // A handler may have failed (or the signal been aborted) while
+            // the source was fetching this item: it isn't handled then
+            if (failure) break;
+            // A handler's error is kept rather than left unhandled, and
+            // noticed before the next item is taken
+            const task = Promise.resolve()
+                .then(() => handler(item, index++))
+                .catch(fail)
+                .then(() => running.delete(task));
+            running.add(task);
+            if (running.size >= concurrency) await Promise.race(running);
+            if (failure) break;
+        }
+    } finally {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        await Promise.all(running);
+    }
+    if (failure) throw failure.error;
+    return index;
+}
+
+// ============================================
+// Examples
+// ============================================
+async function main() {
+    const { Readable, Writable, pipeline } = require('stream');
+    const { promisify } = require('util');
+    const { VirtualClock } = require('./virtualClock');
+
+    // Pages take 200ms each; virtual time makes the timings exact
+    const clock = new VirtualClock().install();
+
+    // fetchUsersPage, counting the requests made
+    let requests = 0;
+    const fetchPage = (cursor, options) => {
+        requests++;
+        return fetchUsersPage(cursor, options);
+    };
+
+    // ============================================
+    // for await...of over Pages
+    // ============================================
+    let start = Date.now();
+    const names = [];
+    for await (const user of paginate(fetchPage)) {
+        names.push(user.name);
+    }
+    console.log(`${names.length} users, ${requests} requests, ${Date.now() - start}ms`); // Output: 10 users, 4 requests, 800ms
+
+    // Stopping early stops the fetching: user 4 is on the second page
+    requests = 0;
+    for await (const user of paginate(fetchPage)) {
+        if (user.id === 4) break;
+    }
+    console.log(`${requests} requests`); // Output: 2 requests
+
+    // ============================================
+    // A Processing Pipeline
+    // ============================================
+    // Active users' names, three at a time. Nothing runs until the loop
+    // asks for the first batch.
+    const batches = pipe(
+        paginate(fetchPage),
+        filter(user => user.active),
+        map(async user => user.name),
+        batch(3)
+    );
+    const collected = [];
+    for await (const names of batches) {
+        collected.push(names);
+    }
+    console.log(collected); // Output: [['User 1', 'User 2', 'User 4'], ['User 5', 'User 7', 'User 8'], ['User 10']]
+
+    // throttle() spaces the items out: at most one every 100ms
+    start = Date.now();
+    const times = [];
+    for await (const item of pipe(['a', 'b', 'c', 'd'], throttle(100))) {
+        times.push(`${item}@${Date.now() - start}`);
+    }
+    console.log(times.join(' ')); // Output: a@0 b@100 c@200 d@300
+
+    // ============================================
+    // Backpressure
+    // ============================================
+    // Saving a user takes 300ms, two at a time. consume() pulls the next
+    // user only when a save has finished, so the pages are fetched as the
+    // saves need them, not all up front.
+    let pulled = 0;
+    let saved = 0;
+    let ahead = 0;
+    const users = pipe(paginate(fetchPage), map(user => {
+        pulled++;
+        ahead = Math.max(ahead, pulled - saved);
+        return user;
+    }));
+    start = Date.now();
+    const count = await consume(users, async () => {
+        await sleep(300);
+        saved++;
+    }, { concurrency: 2 });
+    console.log(`${count} saved, at most ${ahead} ahead of the saves, ${Date.now() - start}ms`); // Output: 10 saved, at most 2 ahead of the saves, 2100ms
+
+    // A failing handler stops the run: user 5 fails, so the third page is
+    // never requested
+    requests = 0;
+    try {
+        await consume(paginate(fetchPage), async user => {
+            if (user.id === 5) throw new Error(`Could not save ${user.name}`);
+        });
+    } catch (error) {
+        console.log(`${error.message} after ${requests} requests`); // Output: Could not save User 5 after 2 requests
+    }
+
+    // ============================================
+    // Node Streams
+    // ============================================
+    // Readable streams are async iterables. lines() puts the lines back
+    // together however the chunks were cut.
+    const chunks = Readable.from(['{"id":1,"na', 'me":"Ann"}\r', '\n{"id":2,"name":"Bo"}\n']);
+    const parsed = [];
+    for await (const line of lines()(chunks)) {
+        parsed.push(JSON.parse(line).name);
+    }
+    console.log(parsed); // Output: ['Ann', 'Bo']
+
+    // Readable.from() goes the other way, and stream.pipeline() takes the
+    // transforms as steps. It handles the backpressure: the slow
+    // destination (100ms per write) decides how fast pages are fetched.
+    const written = [];
+    const destination = new Writable({
+        objectMode: true,
+        highWaterMark: 1,
+        write(name, encoding, callback) {
+            sleep(100).then(() => {
+                written.push(`${name} (pages fetched: ${requests})`);
+                callback();
+            });
+        }
+    });
+    requests = 0;
+    await promisify(pipeline)(
+        Readable.from(paginate(fetchPage), { highWaterMark: 1 }),
+        filter(user => user.active),
+        map(user => user.name),
+        destination
+    );
+    console.log(written.slice(0, 3)); // Output: ['User 1 (pages fetched: 1)', 'User 2 (pages fetched: 1)', 'User 4 (pages fetched: 2)']
+    console.log(`${written.length} written, ${requests} requests`); // Output: 7 written, 4 requests
+
+    clock.uninstall();
+}
+
+module.exports = {
+    fetchUsersPage,
+    paginate,
+    map,
+    filter,
+    batch,
+    throttle,
+    lines,
+    pipe,
+    consume,
+    main
+};
+
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,329 @@
+/**
+ * Event Loop Tracer
+ *
+ * Records what the event loop runs and when: the synchronous script,
+ * every macrotask (timer callback), every microtask (promise reaction or
+ * await continuation) and every console.log in between. The timeline it
+ * prints answers the classic question of why
+ *
+ *   const promise1 = myFunction();
+ *   console.log(promise1);            // Promise { <pending> }
+ *   promise1.then(value => ...);      // runs later
+ *
+ * logs a pending promise first: the .then callback is only *registered*
+ * while the script runs, and microtasks can't start before it finishes.
+ *
+ * Trace any example with the launcher flag, or by preloading the register
+ * file (add --virtual-time for instant, repeatable timestamps):
+ *   npm start -- --trace --virtual-time async
+ *   node -r ./async/registerEventLoopTracer.js async/async.js
+ *
+ * Run this file to see the examples, or require it to trace your own code:
+ *   const { EventLoopTracer } = require('./eventLoopTracer');
+ */
+
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const asyncHooks = require('async_hooks');
+
+// The virtual clock's frames are plumbing, not the code being traced
+const VIRTUAL_CLOCK = path.join(__dirname, 'virtualClock.js');
+
+const CONSOLE_METHODS = ['log', 'info', 'warn', 'error', 'debug'];
+
+const ASYNC_ID_SYMBOLS = /,?\s*\[Symbol\((?:async_id_symbol|trigger_async_id_symbol)\)\]: \d+/g;
+
+const MICROTASK_TYPES = {
+    PROMISE: 'promise reaction',
+    TickObject: 'process.nextTick',
+    Microtask: 'queueMicrotask'
+};
+
+const COMBINATORS = ['all', 'allSettled', 'any', 'race'];
+
+const MACROTASK_TYPES = {
+    Timeout: 'setTimeout',
+    VirtualTimeout: 'setTimeout',
+    VirtualInterval: 'setInterval',
+    Immediate: 'setImmediate'
+};
+
+// ============================================
+// Stack Helpers
+// ============================================
+// File, line and column of the frames that called the async hook, from
+// the innermost one out. Node's own frames (node:...) are left out, and
+// built-in functions such as Promise.all only have a name.
+function callerFrames() {
+    const limit = Error.stackTraceLimit;
+    Error.stackTraceLimit = 50;
+    const stack = new Error().stack;
+    Error.stackTraceLimit = limit;
+
+    const frames = [];
+    for (const line of stack.split('\n').slice(1)) {
+        const match = line.match(/(?:\(|at )([^()]+):(\d+):(\d+)\)?$/);
+        const builtin = line.match(/at (?:\w+\.)?(\w+) \(<anonymous>\)$/);
+        if (match) {
+            frames.push({ file: match[1], line: Number(match[2]), column: Number(match[3]) });
+        } else if (builtin) {
+            frames.push({ file: null, builtin: builtin[1] });
+        }
+    }
+    // The first frames are the hook itself, in this file
+    let start = 0;
+    while (start < frames.length && frames[start].file === __filename) {
+        start++;
+    }
+    return frames.slice(start).filter(frame => !frame.file || !frame.file.startsWith('node:'));
+}
+
+const sourceCache = new Map();
+
+function sourceLine({ file, line }) {
+    if (!sourceCache.has(file)) {
+        try {
+            sourceCache.set(file, fs.readFileSync(file, 'utf8').split('\n'));
+        } catch (error) {
+            sourceCache.set(file, []);
+        }
+    }
+    return sourceCache.get(file)[line - 1] || '';
+}
+
+// A promise reaction is an await continuation or a .then/.catch/.finally
+// callback; the source line that created it tells which one it is.
+// Promise.all and friends subscribe to each promise they are given.
+function describePromise(builtins, frame) {
+    const combinator = builtins.find(name => COMBINATORS.includes(name));
+    if (combinator) {
+        return `Promise.${combinator} reaction`;
+    }
+    if (!frame) {
+        return MICROTASK_TYPES.PROMISE;
+    }
+    const line = sourceLine(frame);
+    if (/\bawait\b/.test(line)) {
+        return 'await continuation';
+    }
+    // The column points at the method name of the call that created it
+    const method = line.slice(frame.column - 1).match(/^\.?(then|catch|finally)\(/) ||
+        line.match(/\.(then|catch|finally)\(/);
+    return method ? `.${method[1]} callback` : MICROTASK_TYPES.PROMISE;
+}
+
+function formatTime(ms) {
+    const text = Number.isInteger(ms) ? `${ms}ms` : `${ms.toFixed(1)}ms`;
+    return text.padStart(7);
+}
+
+// ============================================
+// The Tracer
+// ============================================
+class EventLoopTracer {
+    constructor({ now = () => Date.now(), echo = false } = {}) {
+        this.now = now;
+        this.echo = echo;
+        this.tasks = new Map();
+        this.events = [];
+        this.root = null;
+        this.startTime = 0;
+        this.console = null;
+        this.hook = asyncHooks.createHook({
+            init: (asyncId, type, triggerAsyncId, resource) => this._init(asyncId, type, triggerAsyncId, resource),
+            before: asyncId => this._before(asyncId)
+        });
+    }
+
+    // Trace everything the program does from now on
+    start() {
+        this.startTime = this.now();
+        this.events.push({ kind: 'script', time: 0 });
+        this._captureConsole();
+        this.hook.enable();
+        return this;
+    }
+
+    // Trace only fn and the tasks it schedules, directly or indirectly.
+    // Call stop() once they have run (for example after clock.runAll()).
+    run(fn) {
+        this.root = new asyncHooks.AsyncResource('EventLoopTracer');
+        this.tasks.set(this.root.asyncId(), null);
+        this.start();
+        return this.root.runInAsyncScope(fn);
+    }
+
+    stop() {
+        this.hook.disable();
+        if (this.console) {
+            CONSOLE_METHODS.forEach(method => {
+                console[method] = this.console[method];
+            });
+            this.console = null;
+        }
+        return this;
+    }
+
+    // The recorded timeline, one line per event
+    formatTimeline() {
+        const numbers = new Map();
+        const number = task => {
+            if (!numbers.has(task)) {
+                const count = [...numbers.keys()].filter(other => other.kind === task.kind).length;
+                numbers.set(task, `${task.kind} #${count + 1}`);
+            }
+            return numbers.get(task);
+        };
+        const ran = new Set(this.events.filter(event => event.task).map(event => event.task));
+
+        const lines = [];
+        for (const event of this.events) {
+            const time = formatTime(event.time);
+            if (event.kind === 'script') {
+                lines.push(`${time} > script`);
+            } else if (event.kind === 'log') {
+                lines.push(`${time}   | log: ${event.text}`);
+            } else if (event.kind === 'schedule' && ran.has(event.scheduled)) {
+                lines.push(`${time}   | ${event.scheduled.label} -> ${number(event.scheduled)}`);
+            } else if (event.kind === 'run') {
+                const task = event.task;
+                const where = task.location ? `, ${task.location}` : '';
+                lines.push(`${time} > ${number(task)} (${task.label}${where})`);
+            }
+        }
+        return lines.join('\n');
+    }
+
+    print() {
+        console.log(this.formatTimeline());
+    }
+
+    _elapsed() {
+        return this.now() - this.startTime;
+    }
+
+    _captureConsole() {
+        this.console = {};
+        CONSOLE_METHODS.forEach(method => {
+            const original = console[method];
+            this.console[method] = original;
+            console[method] = (...args) => {
+                // One line per log. With async hooks enabled, Node tags
+                // promises with their async ids; leave those out.
+                const text = util.formatWithOptions({ breakLength: Infinity }, ...args)
+                    .replace(ASYNC_ID_SYMBOLS, '');
+                this.events.push({ kind: 'log', time: this._elapsed(), text });
+                if (this.echo) original.apply(console, args);
+            };
+        });
+    }
+
+    _init(asyncId, type, triggerAsyncId) {
+        if (this.root && !this.tasks.has(triggerAsyncId) && asyncHooks.executionAsyncId() !== this.root.asyncId()) {
+            return;
+        }
+
+        const frames = callerFrames();
+        const isVirtualTimer = type === 'VirtualTimeout' || type === 'VirtualInterval';
+        // The virtual clock's own immediates and promises are not traced,
+        // but the timers it creates for the traced code are
+        if (!isVirtualTimer && frames.length > 0 && frames[0].file === VIRTUAL_CLOCK) {
+            return;
+        }
+        const userFrames = frames.filter(frame => frame.file && frame.file !== VIRTUAL_CLOCK);
+        if (!this.root && userFrames.length === 0) {
+            return;
+        }
+
+        const frame = userFrames[0];
+        // The built-in functions called on the way from the user's code
+        const builtins = [];
+        for (let i = 0; i < frames.length && !frames[i].file; i++) {
+            builtins.push(frames[i].builtin);
+        }
+        const isMicrotask = type in MICROTASK_TYPES;
+        const task = {
+            kind: isMicrotask ? 'microtask' : 'macrotask',
+            label: type === 'PROMISE'
+                ? describePromise(builtins, frame)
+                : MICROTASK_TYPES[type] || MACROTASK_TYPES[type] || type,
+            location: frame ? `${path.basename(frame.file)}:${frame.line}` : null
+        };
+        this.tasks.set(asyncId, task);
+        this.events.push({ kind: 'schedule', time: this._elapsed(), scheduled: task });
+    }
+
+    _before(asyncId) {
+        const task = this.tasks.get(asyncId);
+        if (task) {
+            this.events.push({ kind: 'run', time: this._elapsed(), task });
+        }
+    }
+}
+
+// ============================================
+// Examples
+// ============================================
+async function main() {
+    const { VirtualClock } = require('./virtualClock');
+
+    // ============================================
+    // Why console.log(promise1) Shows Promise { <pending> }
+    // ============================================
+    // The same code as in async.js, traced in virtual time so the
+    // timestamps are the same on every run
+    const clock = new VirtualClock().install();
+    const tracer = new EventLoopTracer({ now: () => clock.now() });
+
+    tracer.run(() => {
+        async function myFunction() {
+            console.log("Hello from async function!");
+            const result = await Promise.resolve(42);
+            return result;
+        }
+
+        console.log("Start");
+        setTimeout(() => console.log("Timeout"), 2000);
+        const promise1 = myFunction();
+        console.log(promise1);
+        promise1.then(value => console.log("Value:", value));
+        console.log("End");
+    });
+
+    await clock.runAll();
+    tracer.stop();
+    clock.uninstall();
+
+    // Reading the timeline from the top:
+    // 1. The whole script runs first; setTimeout, await and .then only
+    //    queue work for later, so "Promise { <pending> }" and "End" print
+    //    while myFunction is still paused at its await
+    // 2. Once the script is done, all microtasks run: myFunction resumes
+    //    and resolves promise1, which lets the .then callback log 42
+    // 3. Only then does the event loop move on to timers (macrotasks)
+    tracer.print();
+    // Output:
+    // 0ms > script
+    // 0ms   | log: Start
+    // 0ms   | setTimeout -> macrotask #1
+    // 0ms   | log: Hello from async function!
+    // 0ms   | await continuation -> microtask #1
+    // 0ms   | log: Promise { <pending> }
+    // 0ms   | .then callback -> microtask #2
+    // 0ms   | log: End
+    // 0ms > microtask #1 (await continuation, eventLoopTracer.js:282)
+    // 0ms > microtask #2 (.then callback, eventLoopTracer.js:290)
+    // 0ms   | log: Value: 42
+    // 2000ms > macrotask #1 (setTimeout, eventLoopTracer.js:287)
+    // 2000ms   | log: Timeout
+}
+
+module.exports = {
+    EventLoopTracer,
+    main
+};
+
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,240 @@
+/**
+ * Promise Pool: Limiting Concurrency
+ *
+ * Promise.all() and Promise.allSettled() work on promises, so every task
+ * has already started by the time they are called. With hundreds of tasks
+ * that means hundreds of requests at once. pool() takes *functions* that
+ * start a task instead, and keeps at most `concurrency` of them running:
+ *
+ * - Results come back in the order of the tasks, not the order they finish
+ * - Fail-fast by default, like Promise.all(); with `settle: true` it waits
+ *   for every task and reports each outcome, like Promise.allSettled()
+ * - onProgress is called each time a task finishes; if it throws, the
+ *   pool rejects with that error
+ * - An AbortSignal cancels the run: no new task starts, and the running
+ *   ones are told through the signal they receive
+ *
+ * Run this file to see the examples, or require it to use the helper:
+ *   const { pool } = require('./pool');
+ */
+
+const { abortReason } = require('./retry');
+
+// ============================================
+// Reusable Helpers
+// ============================================
+// Runs tasks, an array (or iterable) of functions called as
+// task({ index, signal }), at most `concurrency` at a time.
+// The signal passed to each task is aborted when the run is cancelled
+// or, in fail-fast mode, when another task fails.
+function pool(tasks, options = {}) {
+    const {
+        concurrency = 4,
+        settle = false,
+        onProgress = () => {},
+        signal
+    } = options;
+
+    // Bad arguments reject, like a failing task, rather than throwing
+    if (!(Number.isInteger(concurrency) || concurrency === Infinity) || concurrency < 1) {
+        return Promise.reject(new RangeError(`concurrency must be a positive integer, got ${concurrency}`));
+    }
+    if (tasks === null || tasks === undefined || typeof tasks[Symbol.iterator] !== 'function') {
+        return Promise.reject(new TypeError(`tasks must be an array or iterable of functions, got ${tasks}`));
+    }
+
+    let queue;
+    try {
+        queue = Array.from(tasks);
+    } catch (error) {
+        return Promise.reject(error);
+    }
+    const total = queue.length;
+    const results = new Array(total);
+    const controller = new AbortController();
+    let started = 0;
+    let running = 0;
+    let completed = 0;
+    let done = false;
+
+    return new Promise((resolve, reject) => {
+        const finish = error => {
+            if (done) return;
+            done = true;
+            if (signal) signal.removeEventListener('abort', onAbort);
+            if (error === undefined) {
+                resolve(results);
+            } else {
+                controller.abort(error);
+                reject(error);
+            }
+        };
+
+        const onAbort = () => finish(abortReason(signal));
+
+        const settled = (index, outcome) => {
+            running--;
+            completed++;
+            results[index] = settle ? outcome : outcome.value;
+            if (done) return;
+            // A throwing callback fails the run, like a failing task
+            try {
+                onProgress({ completed, total, running });
+            } catch (error) {
+                finish(error);
+                return;
+            }
+            launch();
+        };
+
+        const launch = () => {
+            while (!done && running < concurrency && started < total) {
+                const index = started++;
+                running++;
+                // Starting the task inside then() turns a synchronous throw
+                // into a rejection
+                Promise.resolve()
+                    .then(() => queue[index]({ index, signal: controller.signal }))
+                    .then(
+                        value => settled(index, { status: 'fulfilled', value }),
+                        reason => {
+                            if (settle) {
+                                settled(index, { status: 'rejected', reason });
+                            } else {
+                                running--;
+                                finish(reason);
+                            }
+                        }
+                    );
+            }
+            if (completed === total) {
+                finish();
+            }
+        };
+
+        if (signal && signal.aborted) {
+            finish(abortReason(signal));
+            return;
+        }
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+        launch();
+    });
+}
+
+// ============================================
+// Examples
+// ============================================
+async function main() {
+    const { VirtualClock } = require('./virtualClock');
+    const { sleep } = require('./retry');
+
+    // The tasks wait on timers; virtual time makes the timings exact
+    const clock = new VirtualClock().install();
+
+    // A task that takes `ms` to produce `value`, and keeps track of how
+    // many tasks run at the same time
+    let active = 0;
+    let peak = 0;
+    const task = (ms, value) => async ({ signal }) => {
+        active++;
+        peak = Math.max(peak, active);
+        try {
+            await sleep(ms, signal);
+            return value;
+        } finally {
+            active--;
+        }
+    };
+
+    // ============================================
+    // At Most `concurrency` Tasks at a Time
+    // ============================================
+    // Six tasks of 300, 100, 200, 100, 300 and 100ms, two at a time.
+    // They finish out of order, but the results keep the tasks' order.
+    let start = Date.now();
+    const tasks = [300, 100, 200, 100, 300, 100].map((ms, i) => task(ms, `#${i + 1}`));
+    const results = await pool(tasks, { concurrency: 2 });
+    console.log(results); // Output: ['#1', '#2', '#3', '#4', '#5', '#6']
+    console.log(`${Date.now() - start}ms, at most ${peak} running`); // Output: 600ms, at most 2 running
+
+    // Promise.all would have run all six at once
+    peak = 0;
+    start = Date.now();
+    await Promise.all(tasks.map(run => run({})));
+    console.log(`${Date.now() - start}ms, at most ${peak} running`); // Output: 300ms, at most 6 running
+
+    // ============================================
+    // Progress Reporting
+    // ============================================
+    const progress = [];
+    await pool(tasks, {
+        concurrency: 3,
+        onProgress: ({ completed, total }) => progress.push(`${completed}/${total}`)
+    });
+    console.log(progress.join(' ')); // Output: 1/6 2/6 3/6 4/6 5/6 6/6
+
+    // ============================================
+    // Fail-Fast, Like Promise.all()
+    // ============================================
+    // The first failure rejects the pool and no further task starts
+    let startedTasks = 0;
+    const failing = [100, 100, 50, 100, 100].map((ms, i) => async options => {
+        startedTasks++;
+        if (i === 2) {
+            await sleep(ms);
+            throw new Error(`Task ${i + 1} failed`);
+        }
+        return task(ms, i + 1)(options);
+    });
+    try {
+        await pool(failing, { concurrency: 3 });
+    } catch (error) {
+        console.log(`${error.message}, ${startedTasks} of 5 tasks started`);
+        // Output: Task 3 failed, 3 of 5 tasks started
+    }
+
+    // ============================================
+    // Settle-All, Like Promise.allSettled()
+    // ============================================
+    // Every task runs; each result says whether it succeeded
+    const outcomes = await pool(failing, { concurrency: 3, settle: true });
+    console.log(outcomes.map(outcome => outcome.status === 'fulfilled' ? outcome.value : outcome.reason.message));
+    // Output: [1, 2, 'Task 3 failed', 4, 5]
+
+    // ============================================
+    // Cancelling a Run
+    // ============================================
+    // Aborting stops the pool at once; the running tasks see their
+    // signal aborted and stop waiting
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 250);
+    let finished = 0;
+    try {
+        await pool(tasks, {
+            concurrency: 2,
+            signal: controller.signal,
+            onProgress: ({ completed }) => {
+                finished = completed;
+            }
+        });
+    } catch (error) {
+        await clock.runAll();
+        console.log(`${error.name} after ${finished} of 6 tasks, ${active} still running`);
+        // Output: AbortError after 1 of 6 tasks, 0 still running
+    }
+
+    // Bad arguments reject too, so one catch handles every failure
+    await pool(undefined).catch(error => console.log(error.message));
+    // Output: tasks must be an array or iterable of functions, got undefined
+
+    clock.uninstall();
+}
+
+module.exports = {
+    pool,
+    main
+};
+
+if (require.main === module) {
+    main();
+}
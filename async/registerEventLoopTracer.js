@@ -0,0 +1,24 @@
+/**
+ * Event Loop Tracer Preload
+ *
+ * Preload this file to trace any example: instead of its normal output, a
+ * timeline of the script, macrotasks, microtasks and logs is printed when
+ * the program exits.
+ *
+ *   node -r ./async/registerEventLoopTracer.js async/async.js
+ *
+ * Preload registerVirtualClock.js first for instant, repeatable timestamps.
+ */
+
+const path = require('path');
+
+// eventLoopTracer.js traces its own examples. Requiring it here would also
+// stop Node from running it as the main module.
+if (path.resolve(process.argv[1] || '') !== require.resolve('./eventLoopTracer')) {
+    const { EventLoopTracer } = require('./eventLoopTracer');
+    const tracer = new EventLoopTracer().start();
+
+    process.on('exit', () => {
+        tracer.stop().print();
+    });
+}
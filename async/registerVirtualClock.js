@@ -0,0 +1,22 @@
+/**
+ * Virtual Time Preload
+ *
+ * Preload this file to run any example in virtual time: timers fire
+ * instantly and Math.random() is seeded, so every run prints the same.
+ *
+ *   node -r ./async/registerVirtualClock.js async/async.js
+ *   WORKSHOP_SEED=7 node -r ./async/registerVirtualClock.js async/async.js
+ *
+ * WORKSHOP_SEED picks the seed (default 1 when it is unset or empty; 0 is
+ * a seed like any other).
+ */
+
+const path = require('path');
+
+// virtualClock.js's own examples install their own clock. Requiring it here
+// would also stop Node from running it as the main module.
+if (path.resolve(process.argv[1] || '') !== require.resolve('./virtualClock')) {
+    const { VirtualClock } = require('./virtualClock');
+    const seed = process.env.WORKSHOP_SEED;
+    new VirtualClock({ seed: seed ? Number(seed) : 1 }).install();
+}
@@ -0,0 +1,230 @@
+/**
+ * Retry with Backoff
+ *
+ * Network calls often fail for reasons that go away on their own: a dropped
+ * connection, a server that is busy for a moment. retry() calls an async
+ * function again until it succeeds, waiting a little longer each time:
+ *
+ * - Exponential backoff: 100ms, 200ms, 400ms, ... never more than maxDelay
+ * - Jitter: each wait is shortened by a random amount, so clients that
+ *   failed together don't all come back at the same moment
+ * - shouldRetry(error) picks the errors worth another attempt; invalid
+ *   input, for example, fails the same way every time
+ * - An AbortSignal stops the retries, even in the middle of a wait
+ * - When every attempt fails, a RetryError lists each attempt's error
+ *
+ * Run this file to see the examples, or require it to use the helpers:
+ *   const { retry, RetryError } = require('./retry');
+ *
+ * sleep(ms, signal) and abortReason(signal) are exported too, for other
+ * helpers that wait or can be cancelled.
+ */
+
+const { AppError, serializeError } = require('../error-handling/errors');
+
+// ============================================
+// Reusable Helpers
+// ============================================
+// Thrown when every attempt failed. `errors` holds one error per attempt;
+// the last one is also the cause.
+class RetryError extends AppError {
+    constructor(errors) {
+        const messages = errors.map(error => (error instanceof Error ? error.message : String(error)));
+        super(`All ${errors.length} attempts failed: ${messages.join('; ')}`, {
+            code: 'RETRY_FAILED',
+            cause: errors[errors.length - 1]
+        });
+        this.errors = errors;
+    }
+
+    toJSON() {
+        return { ...super.toJSON(), errors: this.errors.map(serializeError) };
+    }
+}
+
+// What an aborted signal rejects with: its reason when it has one (Node 17.2+),
+// otherwise an AbortError like the one Node's own APIs throw
+function abortReason(signal) {
+    if (signal.reason !== undefined) {
+        return signal.reason;
+    }
+    const error = new Error('This operation was aborted');
+    error.name = 'AbortError';
+    return error;
+}
+
+// Resolves after `ms`, or rejects as soon as the signal is aborted
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(abortReason(signal));
+            return;
+        }
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(abortReason(signal));
+        };
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+// How long to wait after the given failed attempt (1 for the first one).
+// jitter is the largest fraction of the wait that may randomly be cut:
+// 0 always waits the full delay, 1 waits anywhere between 0 and the delay.
+function backoffDelay(attempt, { delay = 100, factor = 2, maxDelay = 10000, jitter = 0.5 } = {}) {
+    const full = Math.min(maxDelay, delay * factor ** (attempt - 1));
+    return Math.round(full * (1 - jitter * Math.random()));
+}
+
+// Calls fn({ attempt, signal }) until it resolves, at most `attempts` times.
+// An error that shouldRetry rejects is thrown as it is, without retrying.
+// onRetry(error, { attempt, delay }) is called before each wait.
+async function retry(fn, options = {}) {
+    const {
+        attempts = 3,
+        shouldRetry = () => true,
+        onRetry = () => {},
+        signal
+    } = options;
+
+    if (!Number.isInteger(attempts) || attempts < 1) {
+        throw new RangeError(`attempts must be a positive integer, got ${attempts}`);
+    }
+
+    const errors = [];
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+        if (signal && signal.aborted) {
+            throw abortReason(signal);
+        }
+        try {
+            return await fn({ attempt, signal });
+        } catch (error) {
+            if (signal && signal.aborted) {
+                throw abortReason(signal);
+            }
+            if (!shouldRetry(error, attempt)) {
+                throw error;
+            }
+            errors.push(error);
+            if (attempt < attempts) {
+                const delay = backoffDelay(attempt, options);
+                onRetry(error, { attempt, delay });
+                await sleep(delay, signal);
+            }
+        }
+    }
+    throw new RetryError(errors);
+}
+
+// ============================================
+// Examples
+// ============================================
+async function main() {
+    const { VirtualClock } = require('./virtualClock');
+    const { fetchDataWithErrorHandling } = require('./async');
+    const { ValidationError } = require('../error-handling/ErrorHandling');
+
+    // The examples wait on timers and random failures, so they run in
+    // virtual time to print the same thing on every run
+    const clock = new VirtualClock({ seed: 2 }).install();
+
+    // ============================================
+    // Exponential Backoff
+    // ============================================
+    // Without jitter, each wait doubles until it reaches maxDelay
+    const waits = [1, 2, 3, 4, 5, 6].map(attempt => backoffDelay(attempt, { jitter: 0, maxDelay: 2000 }));
+    console.log(waits); // Output: [100, 200, 400, 800, 1600, 2000]
+
+    // With jitter, each wait is somewhere between half and all of that
+    const jittered = [1, 2, 3].map(attempt => backoffDelay(attempt));
+    console.log(jittered.every((wait, index) => wait >= waits[index] / 2 && wait <= waits[index]));
+    // Output: true
+
+    // ============================================
+    // Retrying a Flaky Call
+    // ============================================
+    // fetchDataWithErrorHandling fails half of the time; onRetry shows
+    // each failure and how long retry() waits before trying again
+    let start = Date.now();
+    const response = await retry(fetchDataWithErrorHandling, {
+        attempts: 5,
+        delay: 500,
+        onRetry: (error, { attempt, delay }) => {
+            console.log(`Attempt ${attempt} failed (${error.message}), retrying in ${delay}ms`);
+        }
+    });
+    console.log(`Got "${response.data}" after ${Date.now() - start}ms`);
+    // Output:
+    // Error fetching data: Network error
+    // Attempt 1 failed (Network error), retrying in 304ms
+    // Error fetching data: Network error
+    // Attempt 2 failed (Network error), retrying in 788ms
+    // Data: Success!
+    // Got "Success!" after 4092ms
+
+    // ============================================
+    // Deciding What to Retry
+    // ============================================
+    // Invalid input won't become valid by asking again, so a
+    // ValidationError is thrown right away
+    let calls = 0;
+    try {
+        await retry(() => {
+            calls++;
+            throw new ValidationError('Email is required', 'email');
+        }, {
+            shouldRetry: error => !(error instanceof ValidationError)
+        });
+    } catch (error) {
+        console.log(`${error.name} after ${calls} call(s)`); // Output: ValidationError after 1 call(s)
+    }
+
+    // ============================================
+    // When Every Attempt Fails
+    // ============================================
+    // The RetryError lists every attempt's error
+    try {
+        await retry(({ attempt }) => Promise.reject(new Error(`Timeout #${attempt}`)));
+    } catch (error) {
+        console.log(error.name); // Output: RetryError
+        console.log(error.message); // Output: All 3 attempts failed: Timeout #1; Timeout #2; Timeout #3
+        console.log(error.errors.length); // Output: 3
+    }
+
+    // ============================================
+    // Cancelling with an AbortSignal
+    // ============================================
+    // Aborting stops the pending wait at once, and no attempt follows
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 250);
+    start = Date.now();
+    calls = 0;
+    try {
+        await retry(() => {
+            calls++;
+            return Promise.reject(new Error('Server busy'));
+        }, { attempts: 10, delay: 200, jitter: 0, signal: controller.signal });
+    } catch (error) {
+        console.log(`${error.name} at ${Date.now() - start}ms after ${calls} attempts`);
+        // Output: AbortError at 250ms after 2 attempts
+    }
+
+    clock.uninstall();
+}
+
+module.exports = {
+    retry,
+    RetryError,
+    backoffDelay,
+    sleep,
+    abortReason,
+    main
+};
+
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,133 @@
+/**
+ * Timeouts and Cancellation
+ *
+ * A promise can't be cancelled from the outside: whoever holds it can only
+ * wait. Two tools fix that:
+ *
+ * - withTimeout(promise, ms) rejects with a TimeoutError (see
+ *   error-handling/errors.js) when the promise takes longer than `ms`, and
+ *   clears its own timer when it doesn't
+ * - An AbortSignal, passed down to the code doing the work, lets the caller
+ *   stop it. fetchData and processData in async.js accept one and clear
+ *   their pending timer when it is aborted, so nothing is left running.
+ *
+ * Give withTimeout a function instead of a promise and it passes that
+ * function a signal, aborted on timeout: the work itself stops too.
+ *
+ * Run this file to see the examples, or require it to use the helpers:
+ *   const { withTimeout, TimeoutError } = require('./timeout');
+ */
+
+const { abortReason } = require('./retry');
+const { TimeoutError } = require('../error-handling/errors');
+
+// ============================================
+// Reusable Helpers
+// ============================================
+// Settles like `work`, or rejects with a TimeoutError after `ms`, or with
+// the abort reason as soon as options.signal is aborted.
+// `work` is a promise, or a function called as work({ signal }) whose
+// signal is aborted in both cases, so the work can stop as well.
+function withTimeout(work, ms, options = {}) {
+    const { signal } = options;
+    const controller = new AbortController();
+    let timer;
+    let onAbort;
+
+    const stopped = new Promise((resolve, reject) => {
+        const stop = reason => {
+            controller.abort(reason);
+            reject(reason);
+        };
+        timer = setTimeout(() => stop(new TimeoutError(`Timed out after ${ms}ms`, { ms })), ms);
+        if (signal) {
+            onAbort = () => stop(abortReason(signal));
+            if (signal.aborted) {
+                onAbort();
+            } else {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+        }
+    });
+
+    const promise = typeof work === 'function'
+        ? Promise.resolve().then(() => work({ signal: controller.signal }))
+        : work;
+
+    return Promise.race([promise, stopped]).finally(() => {
+        clearTimeout(timer);
+        if (signal) signal.removeEventListener('abort', onAbort);
+    });
+}
+
+// ============================================
+// Examples
+// ============================================
+async function main() {
+    const { VirtualClock } = require('./virtualClock');
+    const { fetchData, processData } = require('./async');
+
+    // fetchData and processData each take 1000ms. In virtual time the
+    // examples finish at once, and clock.timers shows the pending timers.
+    const clock = new VirtualClock().install();
+
+    // ============================================
+    // Giving Up After a Time Limit
+    // ============================================
+    try {
+        await withTimeout(fetchData(), 500);
+    } catch (error) {
+        console.log(`${error.name}: ${error.message}`); // Output: TimeoutError: Timed out after 500ms
+        console.log(error instanceof TimeoutError); // Output: true
+    }
+
+    // Fast enough: the result comes through and the timeout's own timer
+    // is cleared
+    console.log(await withTimeout(fetchData(), 2000)); // Output: { data: 'User data' }
+    await clock.runAll();
+
+    // ============================================
+    // A Timeout Alone Doesn't Stop the Work
+    // ============================================
+    // The promise given to withTimeout keeps waiting on its timer
+    await withTimeout(fetchData(), 500).catch(() => {});
+    console.log(`Pending timers: ${clock.timers.size}`); // Output: Pending timers: 1
+    await clock.runAll();
+
+    // Given a function, withTimeout passes it a signal that is aborted on
+    // timeout, and fetchData clears its timer
+    await withTimeout(({ signal }) => fetchData({ signal }), 500).catch(() => {});
+    console.log(`Pending timers: ${clock.timers.size}`); // Output: Pending timers: 0
+
+    // ============================================
+    // Cancelling a Chain in Flight
+    // ============================================
+    // One signal goes to every step; aborting it stops whichever step is
+    // running, and the rest of the chain never starts
+    const controller = new AbortController();
+    const { signal } = controller;
+    const start = Date.now();
+    setTimeout(() => controller.abort(), 1500);
+
+    try {
+        const data = await fetchData({ signal });
+        console.log('Fetched after', Date.now() - start, 'ms'); // Output: Fetched after 1000 ms
+        await processData(data, { signal });
+        console.log('Processed');
+    } catch (error) {
+        console.log(`${error.name} after ${Date.now() - start}ms`); // Output: AbortError after 1500ms
+    }
+    console.log(`Pending timers: ${clock.timers.size}`); // Output: Pending timers: 0
+
+    clock.uninstall();
+}
+
+module.exports = {
+    withTimeout,
+    TimeoutError,
+    main
+};
+
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,319 @@
+/**
+ * Virtual Time for the Async Examples
+ *
+ * The async examples wait on real setTimeout delays and decide success
+ * with Math.random(), so they are slow and print something different on
+ * every run. A VirtualClock replaces the timer functions, Date.now() and
+ * Math.random() with deterministic versions:
+ *
+ * - Timers fire instantly, but in the order real time would fire them,
+ *   and promise callbacks still run between two timers, as they would
+ * - Date.now() returns the virtual time
+ * - Math.random() comes from a seeded generator, so the same seed always
+ *   gives the same "random" successes and failures
+ *
+ * Run any example in virtual time with the launcher flag, or by preloading
+ * the register file:
+ *   npm start -- --virtual-time --seed=7 async
+ *   node -r ./async/registerVirtualClock.js async/async.js
+ *
+ * Run this file to see the examples, or require it to use the clock:
+ *   const { VirtualClock } = require('./virtualClock');
+ */
+
+const { AsyncResource } = require('async_hooks');
+
+// The real scheduler drives the virtual one, so keep it before anyone
+// replaces the globals
+const realSetImmediate = setImmediate;
+
+// Node clamps delays outside this range to 1ms
+const TIMEOUT_MAX = 2 ** 31 - 1;
+
+// ============================================
+// Seeded Random Numbers
+// ============================================
+// mulberry32: a tiny, fast generator that is good enough for examples.
+// Returns a function with the same contract as Math.random().
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// ============================================
+// Virtual Timers
+// ============================================
+// Mirrors the parts of Node's Timeout object that code relies on
+class VirtualTimer {
+    constructor(clock, id, callback, args, delay, repeat) {
+        this.clock = clock;
+        this.id = id;
+        this.callback = callback;
+        this.args = args;
+        this.delay = delay;
+        this.repeat = repeat;
+        this.referenced = true;
+        // Keeps the async context of the code that scheduled the timer,
+        // so async_hooks and AsyncLocalStorage see the callback as its child
+        this.resource = new AsyncResource(repeat ? 'VirtualInterval' : 'VirtualTimeout');
+    }
+
+    ref() {
+        this.referenced = true;
+        return this;
+    }
+
+    unref() {
+        this.referenced = false;
+        return this;
+    }
+
+    hasRef() {
+        return this.referenced;
+    }
+
+    refresh() {
+        this.clock._schedule(this);
+        return this;
+    }
+
+    [Symbol.toPrimitive]() {
+        return this.id;
+    }
+}
+
+function normalizeDelay(delay) {
+    const ms = Number(delay);
+    return ms >= 1 && ms <= TIMEOUT_MAX ? ms : 1;
+}
+
+// ============================================
+// The Clock
+// ============================================
+class VirtualClock {
+    constructor({ seed = 1, startTime = 0 } = {}) {
+        this.time = startTime;
+        this.random = createSeededRandom(seed);
+        this.timers = new Map();
+        this.queue = [];
+        this.sequence = 0;
+        this.nextId = 1;
+        this.stepping = false;
+        this.idleWaiters = [];
+        this.saved = null;
+    }
+
+    now() {
+        return this.time;
+    }
+
+    setTimeout(callback, delay, ...args) {
+        return this._add(callback, args, normalizeDelay(delay), false);
+    }
+
+    setInterval(callback, delay, ...args) {
+        return this._add(callback, args, normalizeDelay(delay), true);
+    }
+
+    clearTimeout(timer) {
+        if (timer === undefined || timer === null) return;
+        const id = typeof timer === 'object' ? timer.id : Number(timer);
+        const entry = this.timers.get(id);
+        if (entry) {
+            this.timers.delete(id);
+            entry.resource.emitDestroy();
+        }
+    }
+
+    clearInterval(timer) {
+        this.clearTimeout(timer);
+    }
+
+    // Replace the global timer functions, Date.now and Math.random.
+    // Installing over another clock is fine: uninstall() restores it.
+    install() {
+        if (this.saved) {
+            throw new Error('This clock is already installed');
+        }
+        this.saved = {
+            setTimeout: global.setTimeout,
+            clearTimeout: global.clearTimeout,
+            setInterval: global.setInterval,
+            clearInterval: global.clearInterval,
+            now: Date.now,
+            random: Math.random
+        };
+        global.setTimeout = this.setTimeout.bind(this);
+        global.clearTimeout = this.clearTimeout.bind(this);
+        global.setInterval = this.setInterval.bind(this);
+        global.clearInterval = this.clearInterval.bind(this);
+        Date.now = this.now.bind(this);
+        Math.random = this.random;
+        return this;
+    }
+
+    uninstall() {
+        if (!this.saved) return;
+        global.setTimeout = this.saved.setTimeout;
+        global.clearTimeout = this.saved.clearTimeout;
+        global.setInterval = this.saved.setInterval;
+        global.clearInterval = this.saved.clearInterval;
+        Date.now = this.saved.now;
+        Math.random = this.saved.random;
+        this.saved = null;
+    }
+
+    // Resolves once no referenced timer is left, with the virtual time
+    runAll() {
+        return new Promise(resolve => {
+            this.idleWaiters.push(resolve);
+            this._startStepping();
+        });
+    }
+
+    _add(callback, args, delay, repeat) {
+        if (typeof callback !== 'function') {
+            throw new TypeError('The "callback" argument must be of type function');
+        }
+        const timer = new VirtualTimer(this, this.nextId++, callback, args, delay, repeat);
+        this._schedule(timer);
+        return timer;
+    }
+
+    // Queue the timer to fire `delay` ms from now. A timer that is already
+    // queued (refresh) moves to its new time.
+    _schedule(timer) {
+        timer.entry = { timer, time: this.time + timer.delay, sequence: this.sequence++ };
+        this.timers.set(timer.id, timer);
+        this.queue.push(timer.entry);
+        this.queue.sort((a, b) => a.time - b.time || a.sequence - b.sequence);
+        this._startStepping();
+    }
+
+    _startStepping() {
+        if (this.stepping) return;
+        this.stepping = true;
+        realSetImmediate(() => this._step());
+    }
+
+    // Fire the earliest timer. Each step is a real macrotask, so the
+    // promise callbacks a timer triggers have all run before the next one.
+    _step() {
+        this.queue = this.queue.filter(entry =>
+            entry.timer.entry === entry && this.timers.get(entry.timer.id) === entry.timer);
+        const live = this.queue.filter(entry => entry.timer.referenced);
+
+        if (live.length === 0) {
+            this.stepping = false;
+            const waiters = this.idleWaiters;
+            this.idleWaiters = [];
+            waiters.forEach(resolve => resolve(this.time));
+            return;
+        }
+
+        const entry = this.queue.shift();
+        const { timer } = entry;
+        this.time = Math.max(this.time, entry.time);
+
+        try {
+            if (timer.repeat) {
+                this._schedule(timer);
+            } else {
+                this.timers.delete(timer.id);
+            }
+            timer.resource.runInAsyncScope(timer.callback, timer, ...timer.args);
+        } finally {
+            if (!timer.repeat) {
+                timer.resource.emitDestroy();
+            }
+            realSetImmediate(() => this._step());
+        }
+    }
+}
+
+// ============================================
+// Examples
+// ============================================
+async function main() {
+    const { firstFunction, secondFunction, thirdFunction, fetchDataWithErrorHandling } = require('./async');
+    const { fetchDataPromise } = require('../error-handling/ErrorHandling');
+
+    // ============================================
+    // Seeded Random Numbers
+    // ============================================
+    // The same seed always produces the same sequence
+    const random1 = createSeededRandom(42);
+    const random2 = createSeededRandom(42);
+    console.log(random1() === random2()); // Output: true
+
+    // ============================================
+    // Callback Hell in Virtual Time
+    // ============================================
+    // Three seconds of timers finish instantly, in the same order
+    const clock = new VirtualClock({ seed: 42 }).install();
+
+    firstFunction(() => {
+        secondFunction(() => {
+            thirdFunction();
+        });
+    });
+    console.log(`Elapsed: ${await clock.runAll()}ms`);
+    // Output:
+    // First function executed
+    // Second function executed
+    // Third function executed
+    // Elapsed: 3000ms
+
+    // ============================================
+    // Random Failures Become Repeatable
+    // ============================================
+    // With seed 42, Math.random() gives 0.60, 0.45, 0.85, 0.67, 0.17, ...
+    // so the same calls succeed and fail on every run
+    const results = [];
+    for (let i = 0; i < 4; i++) {
+        try {
+            await fetchDataPromise();
+            results.push('ok');
+        } catch (error) {
+            results.push('failed');
+        }
+    }
+    console.log(results); // Output: ['ok', 'failed', 'ok', 'ok']
+
+    await fetchDataWithErrorHandling().catch(() => {});
+    // Output: Error fetching data: Network error
+
+    // ============================================
+    // Timers Fire in Scheduled Order
+    // ============================================
+    // Date.now() reports virtual time, counted from the clock's start
+    const order = [];
+    let ticks = 0;
+    setTimeout(() => order.push(`slow at ${Date.now()}ms`), 300);
+    setTimeout(() => order.push(`fast at ${Date.now()}ms`), 100);
+    const interval = setInterval(() => {
+        order.push(`tick at ${Date.now()}ms`);
+        if (++ticks === 2) clearInterval(interval);
+    }, 150);
+    await clock.runAll();
+    console.log(order);
+    // Output: ['fast at 8100ms', 'tick at 8150ms', 'slow at 8300ms', 'tick at 8300ms']
+
+    clock.uninstall();
+}
+
+module.exports = {
+    VirtualClock,
+    createSeededRandom,
+    main
+};
+
+if (require.main === module) {
+    main();
+}
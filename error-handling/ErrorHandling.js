@@ -3,74 +3,30 @@
  * 
  * JavaScript provides several mechanisms for handling errors:
  * try/catch/finally blocks, throw statements, and error types.
+ *
+ * Run this file to see the examples, or require it to use the helpers:
+ *   const { ValidationError, validateUser } = require('./ErrorHandling');
  */
 
-// ============================================
-// Types of Errors
-// ============================================
-
-// 1. Syntax Errors - Occur during parsing
-// console.log('Hello World!); // SyntaxError: Unexpected token
-
-// 2. Runtime Errors - Occur during execution
-// nonExistentFunction(); // ReferenceError: nonExistentFunction is not defined
-
-// 3. Logical Errors - Program runs but produces wrong results
-const result = 10 / 0; // Returns Infinity (not an error, but might be unexpected)
-
-// ============================================
-// try/catch/finally Blocks
-// ============================================
-function demonstrateErrorHandling() {
-    try {
-        console.log('Executing try block');
-        throw new Error('Something went wrong!');
-    } catch (error) {
-        console.log('Caught error:', error.message);
-        // Output: Caught error: Something went wrong!
-    } finally {
-        console.log('This always executes');
-        // Output: This always executes
-    }
-}
-
-demonstrateErrorHandling();
+const { retry } = require('../async/retry');
+const { ValidationError, matchError } = require('./errors');
+const { object, string } = require('./schema');
 
 // ============================================
-// Creating and Throwing Errors
+// Reusable Helpers
 // ============================================
-// Creating an error object
-const myError = new Error('Something went wrong!');
-console.log(myError.message); // Output: Something went wrong!
-console.log(myError.name); // Output: Error
-console.log(myError.stack); // Output: Stack trace
-
-// Throwing an error
-// throw new Error('This will stop execution');
-
-// ============================================
-// Returning vs Throwing Errors
-// ============================================
-// ❌ Returning an error doesn't stop execution
-function returnError() {
-    const error = new Error('This is an error');
-    return error; // Function completes normally, returns error object
-}
-
-const result1 = returnError();
-console.log(result1); // Output: Error object (not thrown)
+// What a valid user looks like (see schema.js)
+const userSchema = object({
+    name: string().min(1),
+    email: string().email()
+});
 
-// ✅ Throwing an error stops execution
-function throwError() {
-    throw new Error('Error in function throwError');
-    console.log('This will not execute');
+// Throws one ValidationError listing every invalid field
+function validateUser(user) {
+    return userSchema.validate(user);
 }
 
-// throwError(); // Uncomment to see error thrown
-
-// ============================================
-// Custom Error Handling Example
-// ============================================
+// Throws instead of returning Infinity
 function divide(a, b) {
     if (b === 0) {
         throw new Error('Division by zero is not allowed!');
@@ -78,82 +34,7 @@ function divide(a, b) {
     return a / b;
 }
 
-try {
-    const result = divide(12, 0);
-    console.log(result);
-} catch (error) {
-    console.error('Error:', error.message);
-    // Output: Error: Division by zero is not allowed!
-}
-
-// ============================================
-// JavaScript Error Types
-// ============================================
-
-// 1. SyntaxError - Invalid syntax
-// functiodddd(; // SyntaxError: Unexpected token
-
-// 2. ReferenceError - Variable doesn't exist
-try {
-    console.log(undeclaredVar);
-} catch (error) {
-    console.log(error.name); // Output: ReferenceError
-}
-
-// 3. TypeError - Wrong type of value
-try {
-    null.f();
-} catch (error) {
-    console.log(error.name); // Output: TypeError
-    console.log(error.message); // Output: Cannot read property 'f' of null
-}
-
-// 4. RangeError - Value out of range
-try {
-    new Array(-1);
-} catch (error) {
-    console.log(error.name); // Output: RangeError
-}
-
-// 5. URIError - Invalid URI
-try {
-    decodeURI('%%%');
-} catch (error) {
-    console.log(error.name); // Output: URIError
-}
-
-// ============================================
-// Custom Error Classes
-// ============================================
-class ValidationError extends Error {
-    constructor(message, field) {
-        super(message);
-        this.name = 'ValidationError';
-        this.field = field;
-    }
-}
-
-function validateUser(user) {
-    if (!user.name) {
-        throw new ValidationError('Name is required', 'name');
-    }
-    if (!user.email) {
-        throw new ValidationError('Email is required', 'email');
-    }
-}
-
-try {
-    validateUser({});
-} catch (error) {
-    if (error instanceof ValidationError) {
-        console.log(`${error.name}: ${error.message} (field: ${error.field})`);
-        // Output: ValidationError: Name is required (field: name)
-    }
-}
-
-// ============================================
-// Error Handling in Async Functions
-// ============================================
+// Simulated API call that fails half of the time (async/await version)
 async function fetchData() {
     try {
         // Simulate API call
@@ -181,13 +62,7 @@ async function fetchData() {
     }
 }
 
-fetchData().catch(error => {
-    console.log('Handled in catch:', error.message);
-});
-
-// ============================================
-// Error Handling with Promises
-// ============================================
+// Simulated API call that fails half of the time (promise version)
 function fetchDataPromise() {
     return new Promise((resolve, reject) => {
         setTimeout(() => {
@@ -201,40 +76,201 @@ function fetchDataPromise() {
     });
 }
 
-fetchDataPromise()
-    .then(data => {
-        console.log('Success:', data);
-    })
-    .catch(error => {
+// ============================================
+// Examples
+// ============================================
+function main() {
+    // ============================================
+    // Types of Errors
+    // ============================================
+
+    // 1. Syntax Errors - Occur during parsing
+    // console.log('Hello World!); // SyntaxError: Unexpected token
+
+    // 2. Runtime Errors - Occur during execution
+    // nonExistentFunction(); // ReferenceError: nonExistentFunction is not defined
+
+    // 3. Logical Errors - Program runs but produces wrong results
+    const result = 10 / 0; // Returns Infinity (not an error, but might be unexpected)
+
+    // ============================================
+    // try/catch/finally Blocks
+    // ============================================
+    function demonstrateErrorHandling() {
+        try {
+            console.log('Executing try block');
+            throw new Error('Something went wrong!');
+        } catch (error) {
+            console.log('Caught error:', error.message);
+            // Output: Caught error: Something went wrong!
+        } finally {
+            console.log('This always executes');
+            // Output: This always executes
+        }
+    }
+
+    demonstrateErrorHandling();
+
+    // ============================================
+    // Creating and Throwing Errors
+    // ============================================
+    // Creating an error object
+    const myError = new Error('Something went wrong!');
+    console.log(myError.message); // Output: Something went wrong!
+    console.log(myError.name); // Output: Error
+    console.log(myError.stack); // Prints the message followed by the stack trace
+
+    // Throwing an error
+    // throw new Error('This will stop execution');
+
+    // ============================================
+    // Returning vs Throwing Errors
+    // ============================================
+    // ❌ Returning an error doesn't stop execution
+    function returnError() {
+        const error = new Error('This is an error');
+        return error; // Function completes normally, returns error object
+    }
+
+    const result1 = returnError();
+    console.log(result1); // Prints the Error object with its stack (it was never thrown)
+
+    // ✅ Throwing an error stops execution
+    function throwError() {
+        throw new Error('Error in function throwError');
+        console.log('This will not execute');
+    }
+
+    // throwError(); // Uncomment to see error thrown
+
+    // ============================================
+    // Custom Error Handling Example
+    // ============================================
+    // divide throws when asked to divide by zero
+    try {
+        const result = divide(12, 0);
+        console.log(result);
+    } catch (error) {
         console.error('Error:', error.message);
+        // Output: Error: Division by zero is not allowed!
+    }
+
+    // ============================================
+    // JavaScript Error Types
+    // ============================================
+
+    // 1. SyntaxError - Invalid syntax
+    // functiodddd(; // SyntaxError: Unexpected token
+
+    // 2. ReferenceError - Variable doesn't exist
+    try {
+        console.log(undeclaredVar);
+    } catch (error) {
+        console.log(error.name); // Output: ReferenceError
+    }
+
+    // 3. TypeError - Wrong type of value
+    try {
+        null.f();
+    } catch (error) {
+        console.log(error.name); // Output: TypeError
+        // Node 14 and older word it as: Cannot read property 'f' of null
+        console.log(error.message); // Output: Cannot read properties of null (reading 'f')
+    }
+
+    // 4. RangeError - Value out of range
+    try {
+        new Array(-1);
+    } catch (error) {
+        console.log(error.name); // Output: RangeError
+    }
+
+    // 5. URIError - Invalid URI
+    try {
+        decodeURI('%%%');
+    } catch (error) {
+        console.log(error.name); // Output: URIError
+    }
+
+    // ============================================
+    // Custom Error Classes
+    // ============================================
+    // ValidationError comes from errors.js, which defines a whole family
+    // of error classes. validateUser, defined at the top of this file,
+    // reports every invalid field at once; `field` is the first of them.
+    try {
+        validateUser({});
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            console.log(`${error.name}: ${error.message} (field: ${error.field})`);
+            // Output: ValidationError: name is required; email is required (field: name)
+        }
+    }
+
+    // ============================================
+    // Error Handling in Async Functions
+    // ============================================
+    // fetchData logs the error and re-throws it to the caller. retry()
+    // (see async/retry.js) calls it again after a failed attempt, but
+    // gives up at once on a ValidationError: bad input stays bad
+    retry(fetchData, {
+        attempts: 3,
+        shouldRetry: error => !(error instanceof ValidationError)
+    }).catch(error => {
+        console.log('Handled in catch:', error.message);
     });
 
-// ============================================
-// Multiple Catch Blocks (Not Supported)
-// ============================================
-// JavaScript doesn't support multiple catch blocks like some languages
-// Use if/else or instanceof to handle different error types
-
-try {
-    // Some code that might throw different errors
-    throw new ValidationError('Invalid input', 'username');
-} catch (error) {
-    if (error instanceof ValidationError) {
-        console.log('Validation error:', error.message);
-    } else if (error instanceof TypeError) {
-        console.log('Type error:', error.message);
-    } else {
-        console.log('Unknown error:', error.message);
+    // ============================================
+    // Error Handling with Promises
+    // ============================================
+    fetchDataPromise()
+        .then(data => {
+            console.log('Success:', data);
+        })
+        .catch(error => {
+            console.error('Error:', error.message);
+        });
+
+    // ============================================
+    // Multiple Catch Blocks (Not Supported)
+    // ============================================
+    // JavaScript doesn't support multiple catch blocks like some languages.
+    // Instead of an if/else chain of instanceof checks, matchError (see
+    // errors.js) calls the handler named after the error's class
+
+    try {
+        // Some code that might throw different errors
+        throw new ValidationError('Invalid input', 'username');
+    } catch (error) {
+        matchError(error, {
+            ValidationError: e => console.log('Validation error:', e.message),
+            TypeError: e => console.log('Type error:', e.message),
+            _: e => console.log('Unknown error:', e.message)
+        });
+        // Output: Validation error: Invalid input
     }
-}
 
-// ============================================
-// Best Practices
-// ============================================
-// 1. Always handle errors appropriately
-// 2. Use specific error types when possible
-// 3. Don't swallow errors silently
-// 4. Log errors for debugging
-// 5. Provide meaningful error messages
-// 6. Use finally for cleanup code
+    // ============================================
+    // Best Practices
+    // ============================================
+    // 1. Always handle errors appropriately
+    // 2. Use specific error types when possible
+    // 3. Don't swallow errors silently
+    // 4. Log errors for debugging
+    // 5. Provide meaningful error messages
+    // 6. Use finally for cleanup code
+}
 
+module.exports = {
+    ValidationError,
+    userSchema,
+    validateUser,
+    divide,
+    fetchData,
+    fetchDataPromise,
+    main
+};
+
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,228 @@
+/**
+ * An Error Class Hierarchy
+ *
+ * One base class, AppError, gives every error of the application the same
+ * shape: a message for people, a `code` for programs, an optional `cause`
+ * (the lower-level error it wraps) and `details`, plus toJSON() so errors
+ * can be logged or sent over the network. The subclasses name the common
+ * failures:
+ *
+ *   Error
+ *   └── AppError            APP_ERROR
+ *       ├── ValidationError VALIDATION_ERROR   (field)
+ *       ├── NotFoundError   NOT_FOUND
+ *       ├── NetworkError    NETWORK_ERROR      (status)
+ *       └── TimeoutError    TIMEOUT            (ms)
+ *
+ * matchError(error, handlers) picks a handler by class name, replacing
+ * if/else chains of instanceof checks.
+ *
+ * Run this file to see the examples, or require it to use the classes:
+ *   const { AppError, ValidationError, matchError } = require('./errors');
+ */
+
+// ============================================
+// Reusable Helpers
+// ============================================
+// A plain-object version of any thrown value, following the cause chain
+function serializeError(error) {
+    if (error && typeof error.toJSON === 'function') {
+        return error.toJSON();
+    }
+    if (!(error instanceof Error)) {
+        return error;
+    }
+    const json = { name: error.name, message: error.message };
+    if (error.cause !== undefined) {
+        json.cause = serializeError(error.cause);
+    }
+    return json;
+}
+
+class AppError extends Error {
+    constructor(message, { code = 'APP_ERROR', cause, details } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = code;
+        // Like the native `cause` option (Node 16.9+): not enumerable
+        if (cause !== undefined) {
+            Object.defineProperty(this, 'cause', { value: cause, writable: true, configurable: true });
+        }
+        if (details !== undefined) {
+            this.details = details;
+        }
+    }
+
+    toJSON() {
+        const json = { name: this.name, code: this.code, message: this.message };
+        if (this.details !== undefined) {
+            json.details = this.details;
+        }
+        if (this.cause !== undefined) {
+            json.cause = serializeError(this.cause);
+        }
+        return json;
+    }
+}
+
+// Invalid input; `field` names the offending field
+class ValidationError extends AppError {
+    constructor(message, field, options = {}) {
+        super(message, { code: 'VALIDATION_ERROR', ...options });
+        this.field = field;
+    }
+
+    toJSON() {
+        return { ...super.toJSON(), field: this.field };
+    }
+}
+
+class NotFoundError extends AppError {
+    constructor(message, options = {}) {
+        super(message, { code: 'NOT_FOUND', ...options });
+    }
+}
+
+// A failed request; `status` is the HTTP status, if there was a response
+class NetworkError extends AppError {
+    constructor(message, { status, ...options } = {}) {
+        super(message, { code: 'NETWORK_ERROR', ...options });
+        this.status = status;
+    }
+
+    toJSON() {
+        return { ...super.toJSON(), status: this.status };
+    }
+}
+
+// An operation that took longer than `ms`
+class TimeoutError extends AppError {
+    constructor(message, { ms, ...options } = {}) {
+        super(message, { code: 'TIMEOUT', ...options });
+        this.ms = ms;
+    }
+
+    toJSON() {
+        return { ...super.toJSON(), ms: this.ms };
+    }
+}
+
+// Calls the handler for the error's class, or for its closest parent class
+// that has one: handlers are keyed by class name, so { AppError } handles
+// every AppError and { Error } every error. `_` handles anything else,
+// including thrown values that are not errors. Without a matching handler,
+// the error is thrown again.
+function matchError(error, handlers) {
+    let proto = error !== null && typeof error === 'object' ? Object.getPrototypeOf(error) : null;
+    while (proto && proto !== Object.prototype) {
+        const name = proto.constructor && proto.constructor.name;
+        if (Object.prototype.hasOwnProperty.call(handlers, name)) {
+            return handlers[name](error);
+        }
+        proto = Object.getPrototypeOf(proto);
+    }
+    if (Object.prototype.hasOwnProperty.call(handlers, '_')) {
+        return handlers._(error);
+    }
+    throw error;
+}
+
+// ============================================
+// Examples
+// ============================================
+function main() {
+    // ============================================
+    // One Shape for Every Error
+    // ============================================
+    const notFound = new NotFoundError('User 42 not found', { details: { id: 42 } });
+    console.log(notFound.name); // Output: NotFoundError
+    console.log(notFound.code); // Output: NOT_FOUND
+    console.log(notFound instanceof AppError && notFound instanceof Error); // Output: true
+
+    // Subclasses add their own fields
+    const invalid = new ValidationError('Email is required', 'email');
+    console.log(`${invalid.code} on ${invalid.field}`); // Output: VALIDATION_ERROR on email
+
+    // ============================================
+    // Wrapping a Lower-Level Error with `cause`
+    // ============================================
+    // The caller sees a meaningful error without losing the original one
+    function loadProfile() {
+        try {
+            JSON.parse('{ not json');
+        } catch (error) {
+            throw new NetworkError('Profile service sent an invalid response', { status: 502, cause: error });
+        }
+    }
+
+    try {
+        loadProfile();
+    } catch (error) {
+        console.log(error.message); // Output: Profile service sent an invalid response
+        console.log(error.cause.name); // Output: SyntaxError
+    }
+
+    // ============================================
+    // Serializing Errors
+    // ============================================
+    // JSON.stringify(new Error('x')) gives "{}": message and name are not
+    // enumerable. toJSON() keeps everything, including the cause chain.
+    console.log(JSON.stringify(new Error('Lost'))); // Output: {}
+    const timeout = new TimeoutError('Profile took too long', {
+        ms: 500,
+        cause: new NetworkError('Connection reset')
+    });
+    console.log(JSON.stringify(timeout, null, 2));
+    // Output:
+    // {
+    //   "name": "TimeoutError",
+    //   "code": "TIMEOUT",
+    //   "message": "Profile took too long",
+    //   "cause": {
+    //     "name": "NetworkError",
+    //     "code": "NETWORK_ERROR",
+    //     "message": "Connection reset"
+    //   },
+    //   "ms": 500
+    // }
+
+    // ============================================
+    // Dispatching on the Error Type
+    // ============================================
+    // The closest class with a handler wins; `_` catches the rest
+    const describe = error => matchError(error, {
+        ValidationError: e => `Fix the ${e.field} field`,
+        NotFoundError: () => 'Nothing here',
+        AppError: e => `Application error ${e.code}`,
+        TypeError: e => `Bug: ${e.message}`,
+        _: e => `Unexpected: ${e}`
+    });
+
+    console.log(describe(invalid)); // Output: Fix the email field
+    console.log(describe(notFound)); // Output: Nothing here
+    console.log(describe(timeout)); // Output: Application error TIMEOUT
+    console.log(describe(new TypeError('x is not a function'))); // Output: Bug: x is not a function
+    console.log(describe('a thrown string')); // Output: Unexpected: a thrown string
+
+    // Without a matching handler, the error is thrown again
+    try {
+        matchError(new RangeError('Too big'), { ValidationError: () => 'invalid' });
+    } catch (error) {
+        console.log(`Re-thrown: ${error.name}`); // Output: Re-thrown: RangeError
+    }
+}
+
+module.exports = {
+    AppError,
+    ValidationError,
+    NotFoundError,
+    NetworkError,
+    TimeoutError,
+    matchError,
+    serializeError,
+    main
+};
+
+if (require.main === module) {
+    main();
+}
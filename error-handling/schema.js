@@ -0,0 +1,320 @@
+/**
+ * Declarative Validation with Schemas
+ *
+ * Hand-written checks (`if (!user.name) throw ...`) grow with every field
+ * and stop at the first problem. A schema describes the expected shape
+ * once; validating against it reports every problem at the same time, in
+ * a single ValidationError whose details list each one with its path:
+ *
+ *   const userSchema = object({
+ *       name: string().min(1),
+ *       email: string().email(),
+ *       age: number().integer().min(0).optional(),
+ *       address: object({ city: string(), country: string().default('USA') })
+ *   });
+ *
+ *   userSchema.validate(input);  // the input with defaults filled in,
+ *                                // or throws: address.city is required; ...
+ *
+ * Schemas are immutable: every method returns a new schema, so one can
+ * be shared and extended freely.
+ *
+ * Run this file to see the examples, or require it to use the helpers:
+ *   const { object, string, number } = require('./schema');
+ */
+
+const { ValidationError } = require('./errors');
+
+// ============================================
+// Reusable Helpers
+// ============================================
+// ['address', 'city'] -> 'address.city', ['hobbies', 1] -> 'hobbies[1]'
+function formatPath(path) {
+    return path.reduce((text, key) => {
+        if (typeof key === 'number') return `${text}[${key}]`;
+        return text ? `${text}.${key}` : key;
+    }, '');
+}
+
+class Schema {
+    constructor(expected) {
+        this.expected = expected;
+        this.checks = [];
+        this.isOptional = false;
+        this.hasDefault = false;
+        this.defaultValue = undefined;
+    }
+
+    // undefined is accepted and left out
+    optional() {
+        return this._with({ isOptional: true });
+    }
+
+    // undefined is replaced by `value`; pass a function to get a fresh
+    // value (a new array, say) every time
+    default(value) {
+        return this._with({ hasDefault: true, defaultValue: value });
+    }
+
+    // A custom rule: `test` gets the value and returns true when it's valid
+    refine(test, message) {
+        return this._with({ checks: this.checks.concat({ test, message }) });
+    }
+
+    // The value with defaults filled in; throws a ValidationError listing
+    // every problem
+    validate(value) {
+        const { value: result, errors } = this.safeValidate(value);
+        if (errors.length > 0) {
+            const message = errors.map(error => `${error.path || 'value'} ${error.message}`).join('; ');
+            throw new ValidationError(message, errors[0].path, { details: { errors } });
+        }
+        return result;
+    }
+
+    // Like validate, but returns { value, errors } instead of throwing
+    safeValidate(value) {
+        const errors = [];
+        const result = this._run(value, [], errors);
+        return { value: result, errors };
+    }
+
+    _with(changes) {
+        return Object.assign(Object.create(Object.getPrototypeOf(this)), this, changes);
+    }
+
+    _run(value, path, errors) {
+        const report = message => errors.push({ path: formatPath(path), message });
+
+        if (value === undefined) {
+            if (this.hasDefault) {
+                return typeof this.defaultValue === 'function' ? this.defaultValue() : this.defaultValue;
+            }
+            if (!this.isOptional) report('is required');
+            return undefined;
+        }
+        if (!this._isType(value)) {
+            report(`must be ${this.expected}`);
+            return value;
+        }
+
+        const result = this._parse(value, path, errors);
+        // One message per value is enough: the first failing rule
+        const failed = this.checks.find(check => !check.test(result));
+        if (failed) report(failed.message);
+        return result;
+    }
+
+    _parse(value) {
+        return value;
+    }
+}
+
+class StringSchema extends Schema {
+    constructor() {
+        super('a string');
+    }
+
+    _isType(value) {
+        return typeof value === 'string';
+    }
+
+    min(length) {
+        return this.refine(value => value.length >= length, `must be at least ${plural(length, 'character')}`);
+    }
+
+    max(length) {
+        return this.refine(value => value.length <= length, `must be at most ${plural(length, 'character')}`);
+    }
+
+    pattern(regex, message = `must match ${regex}`) {
+        return this.refine(value => regex.test(value), message);
+    }
+
+    email() {
+        return this.pattern(/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'must be a valid email');
+    }
+}
+
+class NumberSchema extends Schema {
+    constructor() {
+        super('a number');
+    }
+
+    _isType(value) {
+        return typeof value === 'number' && !Number.isNaN(value);
+    }
+
+    min(limit) {
+        return this.refine(value => value >= limit, `must be at least ${limit}`);
+    }
+
+    max(limit) {
+        return this.refine(value => value <= limit, `must be at most ${limit}`);
+    }
+
+    integer() {
+        return this.refine(Number.isInteger, 'must be an integer');
+    }
+}
+
+class BooleanSchema extends Schema {
+    constructor() {
+        super('a boolean');
+    }
+
+    _isType(value) {
+        return typeof value === 'boolean';
+    }
+}
+
+// Keys that are not in the shape are kept as they are
+class ObjectSchema extends Schema {
+    constructor(shape) {
+        super('an object');
+        this.shape = shape;
+    }
+
+    _isType(value) {
+        return typeof value === 'object' && value !== null && !Array.isArray(value);
+    }
+
+    _parse(value, path, errors) {
+        const result = { ...value };
+        for (const [key, schema] of Object.entries(this.shape)) {
+            const parsed = schema._run(value[key], path.concat(key), errors);
+            if (parsed !== undefined || key in value) {
+                result[key] = parsed;
+            }
+        }
+        return result;
+    }
+}
+
+class ArraySchema extends Schema {
+    constructor(items) {
+        super('an array');
+        this.items = items;
+    }
+
+    _isType(value) {
+        return Array.isArray(value);
+    }
+
+    _parse(value, path, errors) {
+        return value.map((item, index) => this.items._run(item, path.concat(index), errors));
+    }
+
+    min(length) {
+        return this.refine(value => value.length >= length, `must have at least ${plural(length, 'item')}`);
+    }
+
+    max(length) {
+        return this.refine(value => value.length <= length, `must have at most ${plural(length, 'item')}`);
+    }
+}
+
+function plural(count, word) {
+    return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+const string = () => new StringSchema();
+const number = () => new NumberSchema();
+const boolean = () => new BooleanSchema();
+const object = shape => new ObjectSchema(shape);
+const array = items => new ArraySchema(items);
+
+// ============================================
+// Examples
+// ============================================
+function main() {
+    // ============================================
+    // Describing a Shape
+    // ============================================
+    const userSchema = object({
+        name: string().min(1),
+        email: string().email(),
+        age: number().integer().min(0).optional(),
+        tags: array(string()).default(() => []),
+        address: object({
+            city: string(),
+            country: string().default('USA')
+        })
+    });
+
+    // A valid value comes back with its defaults filled in
+    const user = userSchema.validate({
+        name: 'Alice',
+        email: 'alice@example.com',
+        address: { city: 'Boston' }
+    });
+    console.log(user);
+    // Output:
+    // {
+    //   name: 'Alice',
+    //   email: 'alice@example.com',
+    //   address: { city: 'Boston', country: 'USA' },
+    //   tags: []
+    // }
+
+    // ============================================
+    // Every Problem at Once
+    // ============================================
+    // The paths point into nested objects and arrays
+    try {
+        userSchema.validate({
+            name: '',
+            email: 'alice(at)example.com',
+            age: 2.5,
+            tags: ['admin', 42],
+            address: { country: 'Canada' }
+        });
+    } catch (error) {
+        console.log(error.name); // Output: ValidationError
+        console.log(error.field); // Output: name
+        error.details.errors.forEach(({ path, message }) => console.log(`${path}: ${message}`));
+        // Output:
+        // name: must be at least 1 character
+        // email: must be a valid email
+        // age: must be an integer
+        // tags[1]: must be a string
+        // address.city: is required
+    }
+
+    // The message lists them too
+    try {
+        userSchema.validate({ email: 'bob@example.com', address: null });
+    } catch (error) {
+        console.log(error.message); // Output: name is required; address must be an object
+    }
+
+    // ============================================
+    // Checking Without Throwing
+    // ============================================
+    const { errors } = number().min(18).safeValidate(16);
+    console.log(errors); // Output: [{ path: '', message: 'must be at least 18' }]
+
+    // ============================================
+    // Custom Rules
+    // ============================================
+    const password = string()
+        .min(8)
+        .refine(value => /\d/.test(value), 'must contain a digit');
+    console.log(password.safeValidate('password').errors[0].message); // Output: must contain a digit
+    console.log(password.safeValidate('pass').errors[0].message); // Output: must be at least 8 characters
+}
+
+module.exports = {
+    string,
+    number,
+    boolean,
+    object,
+    array,
+    Schema,
+    formatPath,
+    main
+};
+
+if (require.main === module) {
+    main();
+}
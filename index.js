@@ -0,0 +1,154 @@
+/**
+ * Workshop Launcher
+ *
+ * Runs the example files of one or more topics from the repository root,
+ * so you don't have to cd into each folder.
+ *
+ * Usage:
+ *   npm start                     # list the available topics
+ *   npm start -- async            # run one topic
+ *   npm start -- arrays objects   # run several topics, in the given order
+ *   npm start -- all              # run every topic
+ *
+ * Options:
+ *   --virtual-time   run timers instantly and seed Math.random(), so async
+ *                    examples finish at once and print the same every run
+ *   --seed=<n>       seed for --virtual-time (default 1); implies it
+ *   --trace          print a timeline of the script, macrotasks, microtasks
+ *                    and logs instead of the normal output
+ */
+
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { topics, findTopic, topicFiles } = require('./topics');
+
+const RULE = '='.repeat(44);
+const VIRTUAL_CLOCK = path.join(__dirname, 'async', 'registerVirtualClock.js');
+const TRACER = path.join(__dirname, 'async', 'registerEventLoopTracer.js');
+
+// ============================================
+// Output Helpers
+// ============================================
+function printUsage() {
+    console.log('Usage: npm start -- [--virtual-time] [--seed=<n>] [--trace] <topic...> | all');
+    console.log('');
+    console.log('Available topics:');
+    topics.forEach(topic => {
+        console.log(`  ${topic.name.padEnd(20)}${topic.title}`);
+    });
+}
+
+// Section banner printed before each example file's output
+function printBanner(topic, file) {
+    const relative = path.relative(__dirname, file).split(path.sep).join('/');
+    console.log(RULE);
+    console.log(`${topic.title} (${relative})`);
+    console.log(RULE);
+}
+
+// ============================================
+// Running Topics
+// ============================================
+// Each file runs in its own Node process, from its own folder, so pending
+// timers of one example can't interleave with the next file's output.
+// The clock is preloaded before the tracer, so the tracer's timestamps are
+// virtual time too.
+function runFile(file, options) {
+    const args = [];
+    if (options.virtualTime) args.push('-r', VIRTUAL_CLOCK);
+    if (options.trace) args.push('-r', TRACER);
+    args.push(file);
+    const env = options.seed === undefined ? process.env : { ...process.env, WORKSHOP_SEED: options.seed };
+    const child = spawnSync(process.execPath, args, {
+        cwd: path.dirname(file),
+        env,
+        stdio: 'inherit'
+    });
+    if (child.error) {
+        console.error(`Could not run ${file}: ${child.error.message}`);
+        return false;
+    }
+    return child.status === 0;
+}
+
+function runTopic(topic, options) {
+    let ok = true;
+    for (const file of topicFiles(topic)) {
+        printBanner(topic, file);
+        if (!runFile(file, options)) {
+            ok = false;
+        }
+        console.log('');
+    }
+    return ok;
+}
+
+// Split the command line into options and topic names
+function parseArgs(args) {
+    const options = { virtualTime: false, seed: undefined, trace: false, help: false };
+    const names = [];
+    for (const arg of args) {
+        if (arg === '--help' || arg === '--list') {
+            options.help = true;
+        } else if (arg === '--virtual-time') {
+            options.virtualTime = true;
+        } else if (arg === '--trace') {
+            options.trace = true;
+        } else if (arg.startsWith('--seed=')) {
+            options.seed = arg.slice('--seed='.length);
+            options.virtualTime = true;
+            if (!/^\d+$/.test(options.seed)) {
+                throw new Error(`Invalid seed: ${options.seed}`);
+            }
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unknown option: ${arg}`);
+        } else {
+            names.push(arg);
+        }
+    }
+    return { options, names };
+}
+
+// Turn the topic names into a list of topics to run
+function resolveTopics(names) {
+    if (names.includes('all')) {
+        return topics;
+    }
+    const unknown = names.filter(name => !findTopic(name));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown topic: ${unknown.join(', ')}`);
+    }
+    return names.map(findTopic);
+}
+
+function main(args) {
+    let options;
+    let selected;
+    try {
+        const parsed = parseArgs(args);
+        options = parsed.options;
+        if (parsed.names.length === 0 || options.help) {
+            printUsage();
+            return 0;
+        }
+        selected = resolveTopics(parsed.names);
+    } catch (error) {
+        console.error(error.message);
+        console.error('');
+        printUsage();
+        return 1;
+    }
+
+    const failed = selected.filter(topic => !runTopic(topic, options));
+    if (failed.length > 0) {
+        console.error(`Failed: ${failed.map(topic => topic.name).join(', ')}`);
+        return 1;
+    }
+    return 0;
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { main, parseArgs, resolveTopics };
@@ -0,0 +1,232 @@
+/**
+ * Deep Equality and Diffs
+ *
+ * === and Object.is() compare objects by reference: two arrays with the
+ * same items are still different arrays. deepEqual() compares what the
+ * values contain:
+ *
+ * - Primitives are compared with Object.is(), so NaN equals NaN and
+ *   0 doesn't equal -0
+ * - Objects must have the same prototype and the same own enumerable
+ *   keys (symbols included), with deeply equal values
+ * - Dates, RegExps, Maps, Sets, typed arrays, errors and boxed primitives
+ *   (new Number(1)) compare their contents; Map keys are compared by
+ *   identity, as Map itself does
+ * - Cycles are fine
+ *
+ * diff() lists the differences as JSON Patch operations (RFC 6902): each
+ * one adds, removes or replaces the value at a JSON Pointer path such as
+ * "/notifications/email". Applied in order, they turn `a` into `b`.
+ *
+ * Run this file to see the examples, or require it to use the helpers:
+ *   const { deepEqual, diff } = require('./deepEqual');
+ */
+
+// ============================================
+// Reusable Helpers
+// ============================================
+const TypedArray = Object.getPrototypeOf(Uint8Array);
+
+// Own enumerable keys, strings first, then symbols
+function ownKeys(object) {
+    const symbols = Object.getOwnPropertySymbols(object)
+        .filter(symbol => Object.prototype.propertyIsEnumerable.call(object, symbol));
+    return [...Object.keys(object), ...symbols];
+}
+
+function isPlainObject(value) {
+    if (typeof value !== 'object' || value === null) return false;
+    const proto = Object.getPrototypeOf(value);
+    return proto === Object.prototype || proto === null;
+}
+
+// ['users', 0, 'a/b'] -> '/users/0/a~1b'
+function formatPointer(path) {
+    return path.map(key => `/${String(key).replace(/~/g, '~0').replace(/\//g, '~1')}`).join('');
+}
+
+function deepEqual(a, b) {
+    // The pairs being compared right now: meeting one again means a cycle,
+    // which counts as equal so far
+    const comparing = new Map();
+
+    function equal(x, y) {
+        if (Object.is(x, y)) return true;
+        if (typeof x !== 'object' || typeof y !== 'object' || x === null || y === null) return false;
+        if (Object.getPrototypeOf(x) !== Object.getPrototypeOf(y)) return false;
+
+        const pairs = comparing.get(x) || new Set();
+        if (pairs.has(y)) return true;
+        comparing.set(x, pairs.add(y));
+        const result = compare(x, y);
+        pairs.delete(y);
+        return result;
+    }
+
+    // Two objects with the same prototype
+    function compare(x, y) {
+        if (x instanceof Date) return Object.is(x.getTime(), y.getTime()) && sameKeys(x, y);
+        if (x instanceof RegExp) return String(x) === String(y) && sameKeys(x, y);
+        if (x instanceof Number || x instanceof String || x instanceof Boolean) {
+            return Object.is(x.valueOf(), y.valueOf()) && sameKeys(x, y);
+        }
+        if (x instanceof Error && (x.name !== y.name || x.message !== y.message)) return false;
+        if (x instanceof ArrayBuffer) {
+            return equal(new Uint8Array(x), new Uint8Array(y));
+        }
+        if (x instanceof TypedArray) {
+            return x.length === y.length && x.every((item, i) => Object.is(item, y[i])) && sameKeys(x, y, true);
+        }
+        if (x instanceof Map) {
+            if (x.size !== y.size) return false;
+            for (const [key, value] of x) {
+                if (!y.has(key) || !equal(value, y.get(key))) return false;
+            }
+        }
+        if (x instanceof Set) {
+            if (x.size !== y.size) return false;
+            // Objects in a Set are matched with an equal, not yet matched one
+            const unmatched = [...y].filter(item => !x.has(item));
+            for (const item of x) {
+                if (y.has(item)) continue;
+                const index = unmatched.findIndex(other => equal(item, other));
+                if (index === -1) return false;
+                unmatched.splice(index, 1);
+            }
+        }
+        if (Array.isArray(x) && x.length !== y.length) return false;
+        return sameKeys(x, y);
+    }
+
+    // Same own enumerable keys with equal values. Typed arrays have
+    // already compared their items, so `skipIndexes` leaves them out.
+    function sameKeys(x, y, skipIndexes = false) {
+        const keep = key => !(skipIndexes && typeof key === 'string' && /^\d+$/.test(key));
+        const xKeys = ownKeys(x).filter(keep);
+        const yKeys = ownKeys(y).filter(keep);
+        if (xKeys.length !== yKeys.length) return false;
+        return xKeys.every(key =>
+            Object.prototype.propertyIsEnumerable.call(y, key) && equal(x[key], y[key]));
+    }
+
+    return equal(a, b);
+}
+
+// The JSON Patch operations that turn `a` into `b`. Plain objects and
+// arrays are compared key by key; any other difference replaces the value.
+// Like JSON itself, it expects data without cycles.
+function diff(a, b, path = []) {
+    if (deepEqual(a, b)) {
+        return [];
+    }
+    if (isPlainObject(a) && isPlainObject(b)) {
+        const operations = [];
+        Object.keys(a).forEach(key => {
+            if (!Object.prototype.hasOwnProperty.call(b, key)) {
+                operations.push({ op: 'remove', path: formatPointer([...path, key]) });
+            }
+        });
+        Object.keys(b).forEach(key => {
+            if (!Object.prototype.hasOwnProperty.call(a, key)) {
+                operations.push({ op: 'add', path: formatPointer([...path, key]), value: b[key] });
+            } else {
+                operations.push(...diff(a[key], b[key], [...path, key]));
+            }
+        });
+        return operations;
+    }
+    if (Array.isArray(a) && Array.isArray(b)) {
+        const operations = [];
+        const shared = Math.min(a.length, b.length);
+        for (let i = 0; i < shared; i++) {
+            operations.push(...diff(a[i], b[i], [...path, i]));
+        }
+        // Removed from the end first, so the indexes of the rest still hold
+        for (let i = a.length - 1; i >= shared; i--) {
+            operations.push({ op: 'remove', path: formatPointer([...path, i]) });
+        }
+        for (let i = shared; i < b.length; i++) {
+            operations.push({ op: 'add', path: formatPointer([...path, i]), value: b[i] });
+        }
+        return operations;
+    }
+    return [{ op: 'replace', path: formatPointer(path), value: b }];
+}
+
+// ============================================
+// Examples
+// ============================================
+function main() {
+    const assert = require('assert');
+    const { mergeObjects } = require('./object');
+    const { createConfig } = require('../spread-rest/SpreadRest');
+
+    // ============================================
+    // Comparing Contents, Not References
+    // ============================================
+    const arr1 = [1, 2, { three: 3 }];
+    const arr2 = [1, 2, { three: 3 }];
+    console.log(arr1 === arr2, deepEqual(arr1, arr2)); // Output: false true
+
+    // Object.is() rules for primitives
+    console.log(deepEqual([NaN], [NaN])); // Output: true
+    console.log(deepEqual({ x: 0 }, { x: -0 })); // Output: false
+
+    // Prototypes and types count: an array is not an object with the same keys
+    console.log(deepEqual([1, 2], { 0: 1, 1: 2 })); // Output: false
+    console.log(deepEqual(new Date(0), new Date(0)), deepEqual(new Date(0), new Date(1))); // Output: true false
+    console.log(deepEqual(new Number(1), new Number(1)), deepEqual(new Number(1), new Number(2))); // Output: true false
+    console.log(deepEqual(new Map([['a', [1]]]), new Map([['a', [1]]]))); // Output: true
+    console.log(deepEqual(new Set([{ id: 1 }]), new Set([{ id: 1 }]))); // Output: true
+
+    // Cycles compare too
+    const loop1 = { name: 'loop' };
+    loop1.self = loop1;
+    const loop2 = { name: 'loop' };
+    loop2.self = loop2;
+    console.log(deepEqual(loop1, loop2)); // Output: true
+
+    // ============================================
+    // Asserting on Results
+    // ============================================
+    // Instead of reading the logs, check what helpers return
+    assert.ok(deepEqual(mergeObjects({ a: 1 }, { b: { c: 2 } }), { a: 1, b: { c: 2 } }));
+    assert.ok(deepEqual(createConfig({ notifications: { push: false } }), {
+        theme: 'light',
+        language: 'en',
+        notifications: { email: true, push: false }
+    }));
+    console.log('Assertions passed'); // Output: Assertions passed
+
+    // ============================================
+    // What Changed? diff()
+    // ============================================
+    const before = createConfig({ theme: 'dark' });
+    const after = createConfig({ language: 'fr', notifications: { email: false } });
+    console.log(diff(before, after));
+    // Output: [{ op: 'replace', path: '/theme', value: 'light' }, { op: 'replace', path: '/language', value: 'fr' }, { op: 'replace', path: '/notifications/email', value: false }]
+
+    // Added and removed keys, and arrays item by item
+    const oldUser = { name: 'Ann', tags: ['a', 'b', 'c'], 'a/b': 1 };
+    const newUser = { name: 'Ann', tags: ['a', 'x'], email: 'ann@example.com' };
+    diff(oldUser, newUser).forEach(operation => console.log(JSON.stringify(operation)));
+    // Output:
+    // {"op":"remove","path":"/a~1b"}
+    // {"op":"replace","path":"/tags/1","value":"x"}
+    // {"op":"remove","path":"/tags/2"}
+    // {"op":"add","path":"/email","value":"ann@example.com"}
+
+    // Equal values have no differences
+    console.log(diff(arr1, arr2)); // Output: []
+}
+
+module.exports = {
+    deepEqual,
+    diff,
+    formatPointer,
+    main
+};
+
+if (require.main === module) {
+    main();
+}
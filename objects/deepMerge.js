@@ -0,0 +1,254 @@
+/**
+ * Deep Merge
+ *
+ * Object.assign() and spread are shallow: a nested object in a later
+ * source replaces the earlier one as a whole.
+ *
+ *   const defaults = { notifications: { email: true, push: true } };
+ *   ({ ...defaults, ...{ notifications: { email: false } } });
+ *   // { notifications: { email: false } }  - push is gone
+ *
+ * deepMerge() merges nested plain objects key by key instead:
+ *
+ * - Arrays are replaced by default; they can also be concatenated, or
+ *   merged item by item using a key such as `id`
+ * - Maps are merged entry by entry, Sets are combined, Dates are copied
+ * - `__proto__`, `constructor` and `prototype` keys are skipped, so merging
+ *   untrusted JSON can't change Object.prototype
+ * - undefined in a source leaves the earlier value in place
+ * - The result shares no objects with the sources, so changing it later
+ *   can't change the defaults it came from
+ * - Cycles are kept: a config that refers to itself gives a result that
+ *   refers to itself, rather than overflowing the stack
+ *
+ * Run this file to see the examples, or require it to use the helpers:
+ *   const { deepMerge, createDeepMerge } = require('./deepMerge');
+ */
+
+// ============================================
+// Reusable Helpers
+// ============================================
+const UNSAFE_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+function isPlainObject(value) {
+    if (typeof value !== 'object' || value === null) return false;
+    const proto = Object.getPrototypeOf(value);
+    return proto === Object.prototype || proto === null;
+}
+
+function safeKeys(object) {
+    return Object.keys(object).filter(key => !UNSAFE_KEYS.includes(key));
+}
+
+// A copy of the containers deepMerge knows about; anything else (class
+// instances, functions) is kept by reference. `copies` maps each container
+// already copied to its copy, so a cycle becomes the same cycle in the copy.
+function copy(value, copies = new WeakMap()) {
+    if (typeof value !== 'object' || value === null) return value;
+    if (copies.has(value)) return copies.get(value);
+    if (value instanceof Date) return new Date(value.getTime());
+
+    let result;
+    if (Array.isArray(value)) {
+        result = [];
+        copies.set(value, result);
+        value.forEach(item => result.push(copy(item, copies)));
+    } else if (value instanceof Map) {
+        result = new Map();
+        copies.set(value, result);
+        value.forEach((item, key) => result.set(key, copy(item, copies)));
+    } else if (value instanceof Set) {
+        result = new Set();
+        copies.set(value, result);
+        value.forEach(item => result.add(copy(item, copies)));
+    } else if (isPlainObject(value)) {
+        result = {};
+        copies.set(value, result);
+        safeKeys(value).forEach(key => {
+            result[key] = copy(value[key], copies);
+        });
+    } else {
+        return value;
+    }
+    return result;
+}
+
+// The array strategies. Each gets the earlier and the later array (and
+// the merge function, to merge items) and returns the merged array.
+const arrayStrategies = {
+    replace: (target, source) => copy(source),
+
+    concat: (target, source) => copy(target.concat(source)),
+
+    // Items with the same value for `key` are merged; the others are kept,
+    // earlier items first
+    mergeBy: key => (target, source, merge) => {
+        const result = copy(target);
+        source.forEach(item => {
+            const index = isPlainObject(item) && item[key] !== undefined
+                ? result.findIndex(existing => isPlainObject(existing) && existing[key] === item[key])
+                : -1;
+            if (index === -1) {
+                result.push(copy(item));
+            } else {
+                result[index] = merge(result[index], item);
+            }
+        });
+        return result;
+    }
+};
+
+// Options:
+//   arrays: 'replace' (default), 'concat', { mergeBy: 'id' }, or a
+//           function (target, source, merge) => merged array
+function createDeepMerge({ arrays = 'replace' } = {}) {
+    let mergeArrays;
+    if (typeof arrays === 'function') {
+        mergeArrays = arrays;
+    } else if (arrays && typeof arrays === 'object' && 'mergeBy' in arrays) {
+        mergeArrays = arrayStrategies.mergeBy(arrays.mergeBy);
+    } else if (arrays === 'replace' || arrays === 'concat') {
+        mergeArrays = arrayStrategies[arrays];
+    } else {
+        throw new TypeError(`Unknown array strategy: ${JSON.stringify(arrays)}`);
+    }
+
+    // The source objects and Maps being merged right now, with the result
+    // each is merged into: a source that contains itself gets that result
+    // back instead of being merged again forever
+    const merging = new WeakMap();
+
+    function mergeInto(result, source, mergeEntries) {
+        merging.set(source, result);
+        try {
+            mergeEntries();
+        } finally {
+            merging.delete(source);
+        }
+        return result;
+    }
+
+    function merge(target, source) {
+        if (source === undefined) {
+            return copy(target);
+        }
+        if (merging.has(source)) {
+            return merging.get(source);
+        }
+        if (isPlainObject(source)) {
+            const result = isPlainObject(target) ? copy(target) : {};
+            return mergeInto(result, source, () => safeKeys(source).forEach(key => {
+                result[key] = merge(result[key], source[key]);
+            }));
+        }
+        if (Array.isArray(target) && Array.isArray(source)) {
+            return mergeArrays(target, source, merge);
+        }
+        if (target instanceof Map && source instanceof Map) {
+            const result = copy(target);
+            return mergeInto(result, source, () => source.forEach((value, key) => {
+                result.set(key, merge(result.get(key), value));
+            }));
+        }
+        if (target instanceof Set && source instanceof Set) {
+            return new Set([...copy(target), ...copy(source)]);
+        }
+        return copy(source);
+    }
+
+    return (...sources) => sources.reduce((result, source) => merge(result, source), {});
+}
+
+// Merges any number of objects, later ones winning, arrays replaced
+const deepMerge = createDeepMerge();
+
+// ============================================
+// Examples
+// ============================================
+function main() {
+    // ============================================
+    // Shallow vs Deep
+    // ============================================
+    const defaults = {
+        theme: 'light',
+        notifications: { email: true, push: true, digest: { day: 'monday' } }
+    };
+    const userConfig = { notifications: { email: false } };
+
+    // Spread replaces the whole notifications object...
+    console.log({ ...defaults, ...userConfig }); // Output: { theme: 'light', notifications: { email: false } }
+
+    // ...deepMerge only changes what the user set
+    const config = deepMerge(defaults, userConfig);
+    console.log(config);
+    // Output: { theme: 'light', notifications: { email: false, push: true, digest: { day: 'monday' } } }
+
+    // The result is a new object: changing it leaves the defaults alone
+    config.notifications.digest.day = 'friday';
+    console.log(defaults.notifications.digest.day); // Output: monday
+
+    // ============================================
+    // Array Strategies
+    // ============================================
+    const base = { plugins: ['lint', 'test'], users: [{ id: 1, name: 'Ann', role: 'admin' }] };
+    const extra = { plugins: ['deploy'], users: [{ id: 1, role: 'owner' }, { id: 2, name: 'Bo' }] };
+
+    console.log(deepMerge(base, extra).plugins); // Output: ['deploy']
+    console.log(createDeepMerge({ arrays: 'concat' })(base, extra).plugins); // Output: ['lint', 'test', 'deploy']
+    console.log(createDeepMerge({ arrays: { mergeBy: 'id' } })(base, extra).users);
+    // Output: [{ id: 1, name: 'Ann', role: 'owner' }, { id: 2, name: 'Bo' }]
+
+    // ============================================
+    // Maps, Sets and Dates
+    // ============================================
+    const left = {
+        limits: new Map([['api', { perMinute: 60, burst: 10 }]]),
+        tags: new Set(['a', 'b']),
+        updated: new Date('2024-01-01T00:00:00Z')
+    };
+    const right = {
+        limits: new Map([['api', { perMinute: 120 }], ['uploads', { perMinute: 5 }]]),
+        tags: new Set(['b', 'c']),
+        updated: new Date('2024-06-01T00:00:00Z')
+    };
+    const mergedTypes = deepMerge(left, right);
+    console.log(mergedTypes.limits);
+    // Output: Map(2) { 'api' => { perMinute: 120, burst: 10 }, 'uploads' => { perMinute: 5 } }
+    console.log(mergedTypes.tags); // Output: Set(3) { 'a', 'b', 'c' }
+    console.log(mergedTypes.updated.toISOString()); // Output: 2024-06-01T00:00:00.000Z
+    console.log(mergedTypes.updated !== right.updated); // Output: true
+
+    // ============================================
+    // undefined Keeps the Earlier Value
+    // ============================================
+    console.log(deepMerge({ theme: 'light' }, { theme: undefined })); // Output: { theme: 'light' }
+
+    // ============================================
+    // Prototype Pollution
+    // ============================================
+    // JSON.parse creates a real "__proto__" key; merging it naively would
+    // give every object in the program an isAdmin property
+    const payload = JSON.parse('{ "__proto__": { "isAdmin": true }, "name": "Eve" }');
+    const merged = deepMerge({}, payload);
+    console.log(merged); // Output: { name: 'Eve' }
+    console.log({}.isAdmin); // Output: undefined
+
+    // ============================================
+    // Cycles
+    // ============================================
+    const cyclic = { name: 'app', limits: { perMinute: 60 } };
+    cyclic.self = cyclic;
+    const mergedCycle = deepMerge({ limits: { burst: 10 } }, cyclic);
+    console.log(mergedCycle.limits); // Output: { burst: 10, perMinute: 60 }
+    console.log(mergedCycle.self === mergedCycle, mergedCycle.self !== cyclic); // Output: true true
+}
+
+module.exports = {
+    deepMerge,
+    createDeepMerge,
+    main
+};
+
+if (require.main === module) {
+    main();
+}
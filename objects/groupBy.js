@@ -0,0 +1,232 @@
+/**
+ * Grouping and Aggregating
+ *
+ * Object.groupBy() and Map.groupBy() (ES2024) put the items of a list into
+ * groups, but they only exist from Node 21. objectGroupBy() and
+ * mapGroupBy() use the built-in functions when they are there, and a
+ * fallback that follows the specification when they are not:
+ *
+ * - objectGroupBy() returns an object with a null prototype, so a group
+ *   called "constructor" or "__proto__" is just a group; keys are strings
+ *   (or symbols)
+ * - mapGroupBy() returns a Map, so keys can be any value: objects, numbers,
+ *   booleans. -0 and +0 are the same key.
+ * - Both accept any iterable and call back with (item, index)
+ *
+ * Groups are often only a step towards a summary: how many per city, the
+ * average age. groupBy(data, key) adds aggregation on top:
+ *
+ *   groupBy(people, 'city').aggregate({ count, avgAge: avg('age') })
+ *   // [{ city: 'New York', count: 2, avgAge: 30 }, ...]
+ *
+ * Run this file to see the examples, or require it to use the helpers:
+ *   const { objectGroupBy, groupBy, count, avg } = require('./groupBy');
+ */
+
+// ============================================
+// Reusable Helpers
+// ============================================
+function checkArguments(items, callback) {
+    if (items === null || items === undefined || typeof items[Symbol.iterator] !== 'function') {
+        throw new TypeError('groupBy: items must be iterable');
+    }
+    if (typeof callback !== 'function') {
+        throw new TypeError('groupBy: callback must be a function');
+    }
+}
+
+// The spec's GroupBy: groups in the order their first item appears
+function groupInto(items, callback, keyOf) {
+    checkArguments(items, callback);
+    const groups = new Map();
+    let index = 0;
+    for (const item of items) {
+        const key = keyOf(callback(item, index++));
+        if (groups.has(key)) {
+            groups.get(key).push(item);
+        } else {
+            groups.set(key, [item]);
+        }
+    }
+    return groups;
+}
+
+// Property keys are strings or symbols; anything else becomes a string
+function toPropertyKey(value) {
+    return typeof value === 'symbol' ? value : String(value);
+}
+
+function objectGroupByFallback(items, callback) {
+    const result = Object.create(null);
+    groupInto(items, callback, toPropertyKey).forEach((group, key) => {
+        result[key] = group;
+    });
+    return result;
+}
+
+// Map keys use SameValueZero already; the spec also turns -0 into +0
+function mapGroupByFallback(items, callback) {
+    return groupInto(items, callback, key => (Object.is(key, -0) ? 0 : key));
+}
+
+// The built-in functions when they exist, the fallbacks otherwise
+const objectGroupBy = typeof Object.groupBy === 'function'
+    ? (items, callback) => Object.groupBy(items, callback)
+    : objectGroupByFallback;
+
+const mapGroupBy = typeof Map.groupBy === 'function'
+    ? (items, callback) => Map.groupBy(items, callback)
+    : mapGroupByFallback;
+
+// ============================================
+// Aggregation
+// ============================================
+// Aggregators take a group's items and return one value. A property
+// name or a function (item => value) picks what to aggregate.
+function valuesOf(items, field) {
+    const read = typeof field === 'function' ? field : item => item[field];
+    return items.map(read);
+}
+
+function count(items) {
+    return items.length;
+}
+
+function sum(field) {
+    return items => valuesOf(items, field).reduce((total, value) => total + value, 0);
+}
+
+function avg(field) {
+    return items => (items.length === 0 ? NaN : sum(field)(items) / items.length);
+}
+
+function min(field) {
+    return items => Math.min(...valuesOf(items, field));
+}
+
+function max(field) {
+    return items => Math.max(...valuesOf(items, field));
+}
+
+// Every value, in order
+function collect(field) {
+    return items => valuesOf(items, field);
+}
+
+// Items grouped by a key, as returned by groupBy()
+class Groups {
+    constructor(groups, keyName) {
+        this.groups = groups;
+        this.keyName = keyName;
+    }
+
+    get size() {
+        return this.groups.size;
+    }
+
+    get(key) {
+        return this.groups.get(key);
+    }
+
+    // { [key]: items }, like Object.groupBy()
+    toObject() {
+        const result = Object.create(null);
+        this.groups.forEach((items, key) => {
+            result[toPropertyKey(key)] = items;
+        });
+        return result;
+    }
+
+    toMap() {
+        return new Map(this.groups);
+    }
+
+    // One row per group: the key, then one column per aggregator.
+    // aggregate({ count, oldest: max('age') })
+    //   -> [{ city: 'New York', count: 2, oldest: 35 }, ...]
+    aggregate(aggregators) {
+        return [...this.groups].map(([key, items]) => {
+            const row = { [this.keyName]: key };
+            Object.entries(aggregators).forEach(([column, aggregator]) => {
+                row[column] = aggregator(items, key);
+            });
+            return row;
+        });
+    }
+}
+
+// `key` is a property name or a function (item, index) => key. Keys can
+// be any value, as with Map.groupBy(); the key column is named after a
+// property name, or "key" for a function.
+function groupBy(items, key) {
+    const callback = typeof key === 'function' ? key : item => item[key];
+    return new Groups(mapGroupBy(items, callback), typeof key === 'function' ? 'key' : key);
+}
+
+// ============================================
+// Examples
+// ============================================
+function main() {
+    // The people from object.js
+    const data = [
+        { name: "Alice", age: 25, city: "New York" },
+        { name: "Bob", age: 10, city: "Los Angeles" },
+        { name: "Charlie", age: 35, city: "New York" },
+        { name: "David", age: 30, city: "Chicago" }
+    ];
+
+    // ============================================
+    // Object.groupBy() on Any Node Version
+    // ============================================
+    const byCity = objectGroupBy(data, person => person.city);
+    console.log(Object.keys(byCity)); // Output: ['New York', 'Los Angeles', 'Chicago']
+    console.log(byCity['New York'].map(person => person.name)); // Output: ['Alice', 'Charlie']
+
+    // The result has no prototype, so any name can be a group
+    const words = objectGroupBy(['constructor', 'toString', 'hello'], word => word);
+    console.log(Object.getPrototypeOf(words), Object.keys(words)); // Output: null [ 'constructor', 'toString', 'hello' ]
+
+    // Map keys keep their type: true, not "true"
+    const byAdult = mapGroupBy(data, person => person.age >= 18);
+    console.log([...byAdult.keys()]); // Output: [true, false]
+
+    // Any iterable works, and the callback gets the index
+    const pairs = objectGroupBy(new Set(['a', 'b', 'c', 'd']), (letter, index) => (index % 2 === 0 ? 'even' : 'odd'));
+    console.log(pairs.even, pairs.odd); // Output: [ 'a', 'c' ] [ 'b', 'd' ]
+
+    // ============================================
+    // Summary Tables
+    // ============================================
+    const summary = groupBy(data, 'city').aggregate({ count, avgAge: avg('age') });
+    console.log(summary);
+    // Output: [{ city: 'New York', count: 2, avgAge: 30 }, { city: 'Los Angeles', count: 1, avgAge: 10 }, { city: 'Chicago', count: 1, avgAge: 30 }]
+
+    // A function key, and more aggregators
+    const byGroup = groupBy(data, person => (person.age > 20 ? 'adult' : 'young'));
+    console.log(byGroup.aggregate({ names: collect('name'), youngest: min('age'), oldest: max('age'), total: sum('age') }));
+    // Output: [{ key: 'adult', names: ['Alice', 'Charlie', 'David'], youngest: 25, oldest: 35, total: 90 }, { key: 'young', names: ['Bob'], youngest: 10, oldest: 10, total: 10 }]
+
+    // Aggregators are functions of the group's items, so custom ones are easy
+    const initials = items => items.map(item => item.name[0]).join('');
+    console.log(groupBy(data, 'city').aggregate({ initials })); // Output: [{ city: 'New York', initials: 'AC' }, { city: 'Los Angeles', initials: 'B' }, { city: 'Chicago', initials: 'D' }]
+}
+
+module.exports = {
+    objectGroupBy,
+    mapGroupBy,
+    objectGroupByFallback,
+    mapGroupByFallback,
+    groupBy,
+    Groups,
+    count,
+    sum,
+    avg,
+    min,
+    max,
+    collect,
+    main
+};
+
+if (require.main === module) {
+    main();
+}
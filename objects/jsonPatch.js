@@ -0,0 +1,319 @@
+/**
+ * JSON Patch
+ *
+ * { ...person, age: 25 } updates the top level of an object without
+ * changing it. Deeper changes need a spread at every level, and the
+ * change itself isn't kept anywhere. A JSON Patch (RFC 6902) describes
+ * changes as data, a list of operations on JSON Pointer paths:
+ *
+ *   [{ "op": "replace", "path": "/address/city", "value": "Paris" },
+ *    { "op": "add", "path": "/tags/-", "value": "vip" }]
+ *
+ * so they can be stored, sent, replayed and undone.
+ *
+ * - applyPatch(doc, operations) returns a new document and never changes
+ *   `doc`. Only the objects and arrays on a changed path are copied; the
+ *   untouched branches are shared with the original.
+ * - All six operations: add, remove, replace, move, copy and test. A patch
+ *   is all or nothing: if one operation fails, a PatchError is thrown and
+ *   no new document is returned.
+ * - createPatch(before, after) works out the patch between two documents
+ *   (see diff() in deepEqual.js). createPatch(after, before) undoes it.
+ * - A path through `__proto__` is refused, so a patch from outside can't
+ *   change Object.prototype; `constructor` and `prototype` are ordinary keys.
+ *
+ * Run this file to see the examples, or require it to use the helpers:
+ *   const { applyPatch, createPatch } = require('./jsonPatch');
+ */
+
+const { AppError } = require('../error-handling/errors');
+const { deepEqual, diff } = require('./deepEqual');
+
+// ============================================
+// Reusable Helpers
+// ============================================
+// Assigning this key changes an object's prototype instead of adding a
+// property. "constructor" and "prototype" are plain names on the copies
+// update() makes, so they are allowed.
+const UNSAFE_KEY = '__proto__';
+
+// Thrown for an invalid operation, or one that can't be applied.
+// `operation` is the operation and `index` its place in the patch.
+class PatchError extends AppError {
+    constructor(message, { operation, index, ...options } = {}) {
+        super(message, { code: 'INVALID_PATCH', details: { operation, index }, ...options });
+    }
+}
+
+// '/users/0/a~1b' -> ['users', '0', 'a/b']; '' is the whole document
+function parsePointer(pointer) {
+    if (pointer === '') return [];
+    if (typeof pointer !== 'string' || !pointer.startsWith('/')) {
+        throw new PatchError(`Invalid JSON Pointer: ${JSON.stringify(pointer)}`);
+    }
+    return pointer
+        .slice(1)
+        .split('/')
+        .map(key => key.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+// The array index a key stands for. `end` is the largest valid index.
+function toIndex(key, end, pointer) {
+    if (!/^(0|[1-9]\d*)$/.test(key) || Number(key) > end) {
+        throw new PatchError(`Index out of range: ${pointer}`);
+    }
+    return Number(key);
+}
+
+function isContainer(value) {
+    return Array.isArray(value) || (typeof value === 'object' && value !== null);
+}
+
+function has(container, key) {
+    return Array.isArray(container)
+        ? /^(0|[1-9]\d*)$/.test(key) && Number(key) < container.length
+        : Object.prototype.hasOwnProperty.call(container, key);
+}
+
+// The value at `pointer`; a PatchError when there is none
+function getValue(doc, pointer) {
+    return parsePointer(pointer).reduce((node, key) => {
+        if (!isContainer(node) || !has(node, key)) {
+            throw new PatchError(`Path not found: ${pointer}`);
+        }
+        return node[key];
+    }, doc);
+}
+
+// A copy of `node` where `edit(copy, key)` has changed the parent of the
+// last key. Only the containers on the path are copied.
+function update(node, keys, edit, pointer) {
+    if (!isContainer(node)) {
+        throw new PatchError(`Path not found: ${pointer}`);
+    }
+    const [key, ...rest] = keys;
+    if (key === UNSAFE_KEY) {
+        throw new PatchError(`Unsafe key in path: ${pointer}`);
+    }
+    const copy = Array.isArray(node) ? node.slice() : { ...node };
+    if (rest.length === 0) {
+        edit(copy, key);
+    } else {
+        if (!has(node, key)) {
+            throw new PatchError(`Path not found: ${pointer}`);
+        }
+        copy[key] = update(node[key], rest, edit, pointer);
+    }
+    return copy;
+}
+
+// ============================================
+// The Operations
+// ============================================
+// Each takes the document and the operation, and returns the new document
+function add(doc, pointer, value) {
+    const keys = parsePointer(pointer);
+    if (keys.length === 0) return value;
+    return update(doc, keys, (parent, key) => {
+        if (Array.isArray(parent)) {
+            const index = key === '-' ? parent.length : toIndex(key, parent.length, pointer);
+            parent.splice(index, 0, value);
+        } else {
+            parent[key] = value;
+        }
+    }, pointer);
+}
+
+function remove(doc, pointer) {
+    const keys = parsePointer(pointer);
+    if (keys.length === 0) {
+        throw new PatchError('Cannot remove the whole document');
+    }
+    return update(doc, keys, (parent, key) => {
+        if (!has(parent, key)) {
+            throw new PatchError(`Path not found: ${pointer}`);
+        }
+        if (Array.isArray(parent)) {
+            parent.splice(Number(key), 1);
+        } else {
+            delete parent[key];
+        }
+    }, pointer);
+}
+
+function replace(doc, pointer, value) {
+    const keys = parsePointer(pointer);
+    if (keys.length === 0) return value;
+    return update(doc, keys, (parent, key) => {
+        if (!has(parent, key)) {
+            throw new PatchError(`Path not found: ${pointer}`);
+        }
+        parent[key] = value;
+    }, pointer);
+}
+
+const operations = {
+    add: (doc, { path, value }) => add(doc, path, value),
+    remove: (doc, { path }) => remove(doc, path),
+    replace: (doc, { path, value }) => replace(doc, path, value),
+    move(doc, { from, path }) {
+        // Both must be valid pointers before they are compared
+        parsePointer(from);
+        parsePointer(path);
+        if (path.startsWith(`${from}/`)) {
+            throw new PatchError(`Cannot move ${from} into itself`);
+        }
+        const value = getValue(doc, from);
+        return from === path ? doc : add(remove(doc, from), path, value);
+    },
+    copy: (doc, { from, path }) => add(doc, path, getValue(doc, from)),
+    test(doc, { path, value }) {
+        if (!deepEqual(getValue(doc, path), value)) {
+            throw new PatchError(`Test failed: ${path} is not ${JSON.stringify(value)}`);
+        }
+        return doc;
+    }
+};
+
+// A new document with every operation applied, in order
+function applyPatch(doc, patch) {
+    return patch.reduce((current, operation, index) => {
+        const known = operation && Object.prototype.hasOwnProperty.call(operations, operation.op);
+        const apply = known ? operations[operation.op] : null;
+        try {
+            if (!apply) {
+                throw new PatchError(`Unknown operation: ${JSON.stringify(operation && operation.op)}`);
+            }
+            if (!('value' in operation) && ['add', 'replace', 'test'].includes(operation.op)) {
+                throw new PatchError(`"${operation.op}" needs a value`);
+            }
+            return apply(current, operation);
+        } catch (error) {
+            if (!(error instanceof PatchError)) throw error;
+            // The same error, saying which operation failed
+            throw new PatchError(`Operation ${index} (${operation && operation.op}) failed: ${error.message}`, {
+                operation,
+                index,
+                cause: error
+            });
+        }
+    }, doc);
+}
+
+// The patch that turns `before` into `after`. With { test: true }, every
+// remove and replace is preceded by a test of the value it expects, so
+// the patch fails instead of overwriting a document that has changed since.
+function createPatch(before, after, { test = false } = {}) {
+    const patch = diff(before, after);
+    if (!test) {
+        return patch;
+    }
+    return patch.flatMap(operation => (operation.op === 'add'
+        ? [operation]
+        : [{ op: 'test', path: operation.path, value: getValue(before, operation.path) }, operation]));
+}
+
+// ============================================
+// Examples
+// ============================================
+function main() {
+    const state = {
+        user: { name: 'Ann', address: { city: 'Lyon', zip: '69001' } },
+        tags: ['new'],
+        settings: { theme: 'light', language: 'en' }
+    };
+
+    // ============================================
+    // Applying a Patch
+    // ============================================
+    const next = applyPatch(state, [
+        { op: 'replace', path: '/user/address/city', value: 'Paris' },
+        { op: 'add', path: '/tags/-', value: 'vip' },
+        { op: 'copy', from: '/user/name', path: '/user/nickname' },
+        { op: 'test', path: '/settings/theme', value: 'light' }
+    ]);
+    console.log(next.user);
+    // Output: { name: 'Ann', address: { city: 'Paris', zip: '69001' }, nickname: 'Ann' }
+    console.log(next.tags); // Output: ['new', 'vip']
+
+    // The original is unchanged...
+    console.log(state.user.address.city, state.tags); // Output: Lyon [ 'new' ]
+    // ...and what the patch didn't touch is shared, not copied
+    console.log(next.settings === state.settings, next.user === state.user); // Output: true false
+
+    // ============================================
+    // All or Nothing
+    // ============================================
+    try {
+        applyPatch(state, [
+            { op: 'remove', path: '/tags/0' },
+            { op: 'test', path: '/settings/theme', value: 'dark' }
+        ]);
+    } catch (error) {
+        console.log(error.name, error.code); // Output: PatchError INVALID_PATCH
+        console.log(error.message); // Output: Operation 1 (test) failed: Test failed: /settings/theme is not "dark"
+    }
+    console.log(state.tags); // Output: ['new']
+
+    // ============================================
+    // Recording, Replaying and Undoing
+    // ============================================
+    // Each change is kept as a patch, and its reverse as the undo
+    const history = [];
+    function commit(current, updated) {
+        history.push({ redo: createPatch(current, updated), undo: createPatch(updated, current) });
+        return updated;
+    }
+
+    let doc = state;
+    doc = commit(doc, applyPatch(doc, [{ op: 'replace', path: '/settings/theme', value: 'dark' }]));
+    doc = commit(doc, applyPatch(doc, [{ op: 'move', from: '/user/address/zip', path: '/user/zip' }]));
+    console.log(doc.user); // Output: { name: 'Ann', address: { city: 'Lyon' }, zip: '69001' }
+    console.log(history[1].redo);
+    // Output: [{ op: 'remove', path: '/user/address/zip' }, { op: 'add', path: '/user/zip', value: '69001' }]
+
+    // Undo both changes, newest first
+    const undone = history.reduceRight((current, entry) => applyPatch(current, entry.undo), doc);
+    console.log(deepEqual(undone, state)); // Output: true
+
+    // Replay them onto the original
+    const replayed = history.reduce((current, entry) => applyPatch(current, entry.redo), state);
+    console.log(deepEqual(replayed, doc)); // Output: true
+
+    // ============================================
+    // Guarding Against Changes Made Since
+    // ============================================
+    // A patch with tests refuses to apply to a document that has moved on
+    const rename = createPatch(state, { ...state, user: { ...state.user, name: 'Anna' } }, { test: true });
+    console.log(rename);
+    // Output: [{ op: 'test', path: '/user/name', value: 'Ann' }, { op: 'replace', path: '/user/name', value: 'Anna' }]
+    try {
+        applyPatch(applyPatch(state, [{ op: 'replace', path: '/user/name', value: 'Annie' }]), rename);
+    } catch (error) {
+        console.log(error.message); // Output: Operation 0 (test) failed: Test failed: /user/name is not "Ann"
+    }
+
+    // ============================================
+    // Unsafe Paths
+    // ============================================
+    // "prototype" is an ordinary key; "__proto__" would reach Object.prototype
+    console.log(applyPatch({}, [{ op: 'add', path: '/prototype', value: 1 }])); // Output: { prototype: 1 }
+    try {
+        applyPatch({}, [{ op: 'add', path: '/__proto__/isAdmin', value: true }]);
+    } catch (error) {
+        console.log(error.message, {}.isAdmin); // Output: Operation 0 (add) failed: Unsafe key in path: /__proto__/isAdmin undefined
+    }
+}
+
+module.exports = {
+    applyPatch,
+    createPatch,
+    parsePointer,
+    getValue,
+    PatchError,
+    main
+};
+
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,246 @@
+/**
+ * Reading and Updating Nested Paths
+ *
+ * Nested destructuring throws as soon as a level is missing:
+ *
+ *   const { details: { address: { city } } } = { details: {} };
+ *   // TypeError: Cannot destructure property 'city' of ... undefined
+ *
+ * and removeProperty() / { ...obj, key } only work on the top level.
+ * These helpers take a path to any depth, written as a string or an array:
+ *
+ *   'details.address.city'    'items[0].name'    'items.0.name'
+ *   ['details', 'address', 'city']   (for keys that contain dots)
+ *
+ * - getIn() returns a default instead of throwing when the path is missing
+ * - setIn(), updateIn() and deleteIn() return a new object and never change
+ *   the one they are given. Only the objects and arrays along the path are
+ *   copied; everything else is shared. Missing levels are created: an
+ *   array when the next key is an index, an object otherwise.
+ * - pick() and omit() keep or drop a list of paths
+ *
+ * Run this file to see the examples, or require it to use the helpers:
+ *   const { getIn, setIn, updateIn, deleteIn, pick, omit } = require('./paths');
+ */
+
+// ============================================
+// Reusable Helpers
+// ============================================
+// Keys that would reach Object.prototype when assigned
+const UNSAFE_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+// 'a.b[0]["c.d"]' -> ['a', 'b', 0, 'c.d']. Indexes become numbers.
+function toPath(path) {
+    if (Array.isArray(path)) {
+        return path;
+    }
+    if (typeof path === 'number') {
+        return [path];
+    }
+    const keys = [];
+    String(path).replace(/\[(?:(\d+)|(["'])(.*?)\2)\]|[^.[\]]+/g, (match, index, quote, quoted) => {
+        if (index !== undefined) {
+            keys.push(Number(index));
+        } else if (quote !== undefined) {
+            keys.push(quoted);
+        } else {
+            keys.push(/^\d+$/.test(match) ? Number(match) : match);
+        }
+    });
+    return keys;
+}
+
+function checkKeys(keys, path) {
+    if (keys.some(key => UNSAFE_KEYS.includes(key))) {
+        throw new TypeError(`Unsafe key in path: ${JSON.stringify(path)}`);
+    }
+}
+
+// A copy of an array or object, keeping the object's prototype
+function shallowCopy(node) {
+    return Array.isArray(node) ? node.slice() : Object.assign(Object.create(Object.getPrototypeOf(node)), node);
+}
+
+function isContainer(value) {
+    return typeof value === 'object' && value !== null;
+}
+
+function hasOwn(node, key) {
+    return Object.prototype.hasOwnProperty.call(node, key);
+}
+
+// The value at `path`, or `defaultValue` when any part of it is missing
+// (or the value is undefined). Only own properties count, so 'toString'
+// is missing from a plain object.
+function getIn(object, path, defaultValue) {
+    let current = object;
+    for (const key of toPath(path)) {
+        if (!isContainer(current) || UNSAFE_KEYS.includes(key) || !hasOwn(current, key)) {
+            return defaultValue;
+        }
+        current = current[key];
+    }
+    return current === undefined ? defaultValue : current;
+}
+
+function setKeys(node, keys, value) {
+    const [key, ...rest] = keys;
+    const current = isContainer(node) ? node[key] : undefined;
+    let next = value;
+    if (rest.length > 0) {
+        const child = isContainer(current) ? current : (typeof rest[0] === 'number' ? [] : {});
+        next = setKeys(child, rest, value);
+    }
+    if (isContainer(node) && hasOwn(node, key) && Object.is(current, next)) {
+        // Nothing changes, so nothing is copied
+        return node;
+    }
+    const copy = isContainer(node) ? shallowCopy(node) : (typeof key === 'number' ? [] : {});
+    copy[key] = next;
+    return copy;
+}
+
+// A copy of `object` with `value` at `path`
+function setIn(object, path, value) {
+    const keys = toPath(path);
+    checkKeys(keys, path);
+    return keys.length === 0 ? value : setKeys(object, keys, value);
+}
+
+// A copy of `object` with the value at `path` replaced by
+// updater(current value), where a missing value is `defaultValue`
+function updateIn(object, path, updater, defaultValue) {
+    return setIn(object, path, updater(getIn(object, path, defaultValue)));
+}
+
+function deleteKeys(node, keys) {
+    const [key, ...rest] = keys;
+    if (!isContainer(node) || !hasOwn(node, key)) {
+        return node;
+    }
+    if (rest.length > 0) {
+        const child = deleteKeys(node[key], rest);
+        if (child === node[key]) return node;
+        const copy = shallowCopy(node);
+        copy[key] = child;
+        return copy;
+    }
+    const copy = shallowCopy(node);
+    if (Array.isArray(copy)) {
+        // An array closes the gap, so the later items move down
+        copy.splice(key, 1);
+    } else {
+        delete copy[key];
+    }
+    return copy;
+}
+
+// A copy of `object` without the value at `path`. A missing path returns
+// `object` itself.
+function deleteIn(object, path) {
+    const keys = toPath(path);
+    checkKeys(keys, path);
+    return keys.length === 0 ? object : deleteKeys(object, keys);
+}
+
+// A new object with only the given paths (those that exist)
+function pick(object, paths) {
+    const missing = {};
+    return paths.reduce((result, path) => {
+        const value = getIn(object, path, missing);
+        return value === missing ? result : setIn(result, path, value);
+    }, {});
+}
+
+// A copy of `object` without the given paths
+function omit(object, paths) {
+    return paths.reduce((result, path) => deleteIn(result, path), object);
+}
+
+// ============================================
+// Examples
+// ============================================
+function main() {
+    const employee = {
+        id: 6661,
+        details: {
+            name: "John",
+            address: { city: "New York", country: "USA" }
+        },
+        projects: [{ name: "Apollo", hours: 12 }]
+    };
+    const newHire = { id: 6662, details: { name: "Jane" } };
+
+    // ============================================
+    // Reading with Defaults
+    // ============================================
+    console.log(getIn(employee, 'details.address.city')); // Output: New York
+    console.log(getIn(employee, 'projects[0].name')); // Output: Apollo
+
+    // Destructuring newHire's address would throw; getIn falls back
+    console.log(getIn(newHire, 'details.address.city', 'Unknown')); // Output: Unknown
+    console.log(getIn(newHire, ['projects', 0, 'hours'], 0)); // Output: 0
+    // Inherited members such as toString don't count as data
+    console.log(getIn({ user: {} }, 'user.toString', 'none')); // Output: none
+
+    // ============================================
+    // Immutable Updates
+    // ============================================
+    // Missing levels are created: projects[0] makes an array
+    const placed = setIn(newHire, 'details.address.city', 'Boston');
+    const staffed = setIn(placed, 'projects[0]', { name: 'Gemini', hours: 0 });
+    console.log(staffed);
+    // Output: { id: 6662, details: { name: 'Jane', address: { city: 'Boston' } }, projects: [{ name: 'Gemini', hours: 0 }] }
+    console.log(newHire); // Output: { id: 6662, details: { name: 'Jane' } }
+
+    // Only the path is copied; the rest is shared
+    const logged = updateIn(employee, 'projects.0.hours', hours => hours + 3);
+    console.log(logged.projects[0].hours, employee.projects[0].hours); // Output: 15 12
+    console.log(logged.details === employee.details); // Output: true
+
+    // Counting from a default
+    const counted = updateIn({}, 'stats.logins', count => count + 1, 0);
+    console.log(counted); // Output: { stats: { logins: 1 } }
+
+    // ============================================
+    // Deleting
+    // ============================================
+    console.log(deleteIn(employee, 'details.address.country').details);
+    // Output: { name: 'John', address: { city: 'New York' } }
+    console.log(deleteIn(employee, 'projects[0]').projects); // Output: []
+
+    // Nothing to delete: the same object comes back
+    console.log(deleteIn(employee, 'details.phone') === employee); // Output: true
+
+    // ============================================
+    // pick() and omit()
+    // ============================================
+    console.log(pick(employee, ['id', 'details.name', 'details.phone'])); // Output: { id: 6661, details: { name: 'John' } }
+    console.log(omit(employee, ['projects', 'details.address'])); // Output: { id: 6661, details: { name: 'John' } }
+
+    // Keys with dots can be written in brackets or as an array path
+    const headers = { 'content.type': 'json' };
+    console.log(getIn(headers, '["content.type"]'), getIn(headers, ['content.type'])); // Output: json json
+
+    // Paths can't reach Object.prototype
+    try {
+        setIn({}, '__proto__.isAdmin', true);
+    } catch (error) {
+        console.log(error.message); // Output: Unsafe key in path: "__proto__.isAdmin"
+    }
+}
+
+module.exports = {
+    getIn,
+    setIn,
+    updateIn,
+    deleteIn,
+    pick,
+    omit,
+    toPath,
+    main
+};
+
+if (require.main === module) {
+    main();
+}
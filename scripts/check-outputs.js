@@ -0,0 +1,248 @@
+/**
+ * Output Comment Checker
+ *
+ * The examples document what they print with `// Output:` comments. This
+ * script runs every registered example file, records what each console call
+ * printed and reports every comment that doesn't match, so the comments
+ * stay true. It backs `npm test`.
+ *
+ * Usage:
+ *   node scripts/check-outputs.js            # check every topic
+ *   node scripts/check-outputs.js async      # check some topics
+ *
+ * Three comment forms are understood:
+ *
+ *   console.log(x); // Output: 42           the line's own output
+ *
+ *   greet('Hello', 'Alice');                the output of the statement
+ *   // Output: Hello, Alice!                just above the comment
+ *
+ *   console.log("Start");                   everything printed by the
+ *   console.log("End");                     code above it, up to the
+ *   // Output:                              previous blank line
+ *   // Start
+ *   // End
+ *
+ * The comparison is forgiving about the way examples are usually written:
+ * whitespace and quote style are ignored, a quoted string matches the same
+ * string printed without quotes, and a trailing remark in parentheses,
+ * such as "(original unchanged)", is optional.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { topics, findTopic, topicFiles } = require('../topics');
+
+const RECORDER = path.join(__dirname, 'output-recorder.js');
+const OUTPUT_LINE = /^\/\/\s*Output(?:\s*\([^)]*\))?:\s*(.*)$/;
+const OUTPUT_INLINE = /\/\/\s*Output:\s*(.*)$/;
+
+// ============================================
+// Reading the Annotations
+// ============================================
+function isBlank(line) {
+    return line.trim() === '';
+}
+
+function isComment(line) {
+    return line.trim().startsWith('//');
+}
+
+// Net count of closing minus opening brackets, ignoring strings and comments
+function bracketBalance(line) {
+    const code = line
+        .replace(/(['"`])(?:\\.|(?!\1).)*\1/g, '""')
+        .replace(/\/\/.*$/, '');
+    let balance = 0;
+    for (const char of code) {
+        if ('([{'.includes(char)) balance--;
+        if (')]}'.includes(char)) balance++;
+    }
+    return balance;
+}
+
+// Line numbers (1-based) of the statement that ends on line `end`,
+// following chained calls such as `.then(...)` back to their start.
+function statementRange(lines, end) {
+    let start = end;
+    let balance = bracketBalance(lines[start - 1]);
+    while (start > 1 && (balance > 0 || /^\s*[.?:]/.test(lines[start - 1]))) {
+        start--;
+        balance += bracketBalance(lines[start - 1]);
+    }
+    return range(start, end);
+}
+
+// Line numbers of the code above an `// Output:` block, up to the previous
+// blank line or annotated line.
+function blockRange(lines, end) {
+    let start = end;
+    while (start > 1) {
+        const previous = lines[start - 2];
+        if (isBlank(previous) || OUTPUT_INLINE.test(previous)) break;
+        start--;
+    }
+    return range(start, end);
+}
+
+function range(start, end) {
+    const numbers = [];
+    for (let line = start; line <= end; line++) {
+        numbers.push(line);
+    }
+    return numbers;
+}
+
+function parseAnnotations(source) {
+    const lines = source.split('\n');
+    const annotations = [];
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        const lineNumber = i + 1;
+
+        if (isComment(line)) {
+            const match = line.trim().match(OUTPUT_LINE);
+            if (!match) continue;
+
+            if (match[1] !== '') {
+                annotations.push({
+                    line: lineNumber,
+                    expected: [match[1]],
+                    from: statementRange(lines, lineNumber - 1)
+                });
+                continue;
+            }
+
+            const expected = [];
+            while (i + 1 < lines.length && isComment(lines[i + 1])) {
+                i++;
+                expected.push(lines[i].trim().replace(/^\/\/\s?/, ''));
+            }
+            annotations.push({
+                line: lineNumber,
+                expected,
+                from: blockRange(lines, lineNumber - 1)
+            });
+            continue;
+        }
+
+        const inline = line.match(OUTPUT_INLINE);
+        if (inline) {
+            annotations.push({ line: lineNumber, expected: [inline[1]], from: [lineNumber] });
+        }
+    }
+    return annotations;
+}
+
+// ============================================
+// Comparing Output
+// ============================================
+function normalize(text) {
+    return text.replace(/"/g, "'").replace(/\s+/g, '');
+}
+
+// The ways an expected line may legitimately be written
+function candidates(expected) {
+    const withoutRemark = expected.replace(/\s+\([^()]*\)$/, '');
+    const forms = [expected, withoutRemark];
+    return forms.concat(forms.map(form => form.replace(/^(['"])(.*)\1$/, '$2')));
+}
+
+function matchesLine(expected, actual) {
+    return candidates(expected).some(form => normalize(form) === normalize(actual));
+}
+
+function matches(expected, actual) {
+    if (expected.length === actual.length &&
+        expected.every((line, index) => matchesLine(line, actual[index]))) {
+        return true;
+    }
+    return expected.length === 1 && matchesLine(expected[0], actual.join('\n'));
+}
+
+// ============================================
+// Running an Example File
+// ============================================
+function record(file) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'check-outputs-'));
+    const out = path.join(dir, 'records.json');
+    try {
+        const child = spawnSync(process.execPath, ['-r', RECORDER, file], {
+            cwd: path.dirname(file),
+            env: { ...process.env, OUTPUT_RECORDER_TARGET: file, OUTPUT_RECORDER_OUT: out },
+            encoding: 'utf8',
+            timeout: 60000
+        });
+        const records = fs.existsSync(out) ? JSON.parse(fs.readFileSync(out, 'utf8')) : [];
+        return { status: child.status, stderr: child.stderr || '', records };
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+function checkFile(file) {
+    const annotations = parseAnnotations(fs.readFileSync(file, 'utf8'));
+    const { status, stderr, records } = record(file);
+    const problems = [];
+
+    if (status !== 0) {
+        const reason = stderr.split('\n').find(line => /^\w*Error\b/.test(line)) || `exit code ${status}`;
+        problems.push(`did not run to completion: ${reason.trim()}`);
+    }
+
+    for (const annotation of annotations) {
+        const actual = records
+            .filter(entry => entry.lines.some(line => annotation.from.includes(line)))
+            .flatMap(entry => entry.text.split('\n'));
+
+        if (actual.length === 0) {
+            problems.push(`line ${annotation.line}: expected ${show(annotation.expected)}, but nothing was printed`);
+        } else if (!matches(annotation.expected, actual)) {
+            problems.push(`line ${annotation.line}: expected ${show(annotation.expected)}, got ${show(actual)}`);
+        }
+    }
+
+    return { checked: annotations.length, problems };
+}
+
+function show(lines) {
+    return lines.length === 1 ? JSON.stringify(lines[0]) : `\n      ${lines.join('\n      ')}`;
+}
+
+function main(args) {
+    const unknown = args.filter(name => !findTopic(name));
+    if (unknown.length > 0) {
+        console.error(`Unknown topic: ${unknown.join(', ')}`);
+        return 1;
+    }
+
+    const selected = args.length > 0 ? args.map(findTopic) : topics;
+    let checked = 0;
+    let failures = 0;
+
+    for (const topic of selected) {
+        for (const file of topicFiles(topic)) {
+            const relative = path.relative(path.join(__dirname, '..'), file).split(path.sep).join('/');
+            const result = checkFile(file);
+            checked += result.checked;
+            failures += result.problems.length;
+
+            const mark = result.problems.length === 0 ? '✓' : '✗';
+            console.log(`${mark} ${relative} (${result.checked} output comments)`);
+            result.problems.forEach(problem => console.log(`    ${problem}`));
+        }
+    }
+
+    console.log('');
+    console.log(`${checked} output comments checked, ${failures} problem(s)`);
+    return failures === 0 ? 0 : 1;
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { parseAnnotations, matches, checkFile };
@@ -0,0 +1,78 @@
+/**
+ * Output Recorder
+ *
+ * Preloaded (node -r) by check-outputs.js into the example file being
+ * checked. Instead of printing, every console call is recorded together
+ * with the lines of the example file that led to it: the lines on the
+ * call stack, plus the lines where the timer or promise callback it runs
+ * in was scheduled. That second part is what lets a `// Output:` comment
+ * under `setTimeout(...)` or `fetchData().then(...)` find the output
+ * that was printed later, from a callback.
+ *
+ * Environment:
+ *   OUTPUT_RECORDER_TARGET  absolute path of the example file
+ *   OUTPUT_RECORDER_OUT     file the JSON records are written to on exit
+ */
+
+const fs = require('fs');
+const util = require('util');
+const asyncHooks = require('async_hooks');
+
+const target = process.env.OUTPUT_RECORDER_TARGET;
+const out = process.env.OUTPUT_RECORDER_OUT;
+
+// Matches "<target>:<line>:<column>" in a stack trace
+const framePattern = new RegExp(`${target.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}:(\\d+):\\d+`, 'g');
+
+Error.stackTraceLimit = 50;
+
+function stackLines() {
+    const lines = [];
+    const stack = new Error().stack;
+    let match;
+    framePattern.lastIndex = 0;
+    while ((match = framePattern.exec(stack)) !== null) {
+        lines.push(Number(match[1]));
+    }
+    return lines;
+}
+
+// ============================================
+// Where Callbacks Were Scheduled
+// ============================================
+// For every async resource (timer, promise, ...) remember where in the
+// example file it was created. Only the resource a callback runs in is
+// used, not the ones before it: after an `await`, everything that follows
+// would otherwise be blamed on the first line that awaited.
+const resources = new Map();
+
+asyncHooks.createHook({
+    init(asyncId) {
+        resources.set(asyncId, stackLines());
+    }
+}).enable();
+
+function asyncLines() {
+    return resources.get(asyncHooks.executionAsyncId()) || [];
+}
+
+// ============================================
+// Console Capture
+// ============================================
+const records = [];
+
+// With the hook enabled, Node tags every promise with its async ids, which
+// would show up when a promise is printed. Drop them again.
+const asyncIdSymbols = /,?\s*\[Symbol\((?:async_id_symbol|trigger_async_id_symbol)\)\]: \d+/g;
+
+['log', 'info', 'warn', 'error', 'debug'].forEach(method => {
+    console[method] = (...args) => {
+        const lines = new Set([...stackLines(), ...asyncLines()]);
+        const text = util.format(...args).replace(asyncIdSymbols, '');
+        records.push({ text, lines: [...lines] });
+    };
+});
+
+process.on('exit', () => {
+    fs.writeFileSync(out, JSON.stringify(records));
+});
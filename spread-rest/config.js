@@ -0,0 +1,341 @@
+/**
+ * Layered Configuration
+ *
+ * createConfig() merges one object of defaults with one of user settings.
+ * A service usually reads its settings from several places, each one
+ * overriding the ones before it:
+ *
+ *   defaults  <  config file (JSON)  <  environment variables  <  CLI flags
+ *
+ * loadConfig() reads every layer and deep-merges them (see
+ * objects/deepMerge.js). The defaults also describe what a valid config
+ * looks like:
+ *
+ * - A key that isn't in the defaults is an error, so typos don't go unseen
+ * - Environment variables and flags are strings; they are converted to
+ *   the type of the default ("true" -> true, "10" -> 10, "a,b" -> ['a', 'b'])
+ * - Values in the JSON file must already have the default's type
+ * - Every problem is reported at once, in a single ValidationError
+ *
+ * Next to the config it returns `sources`, which says for every setting
+ * which layer its value came from.
+ *
+ * Naming in each layer (for a key notifications.email / maxRetries):
+ *   env:  APP_NOTIFICATIONS__EMAIL=false   APP_MAX_RETRIES=5
+ *   cli:  --notifications.email=false      --max-retries 5   --no-debug
+ *
+ * Run this file to see the examples, or require it to use the helpers:
+ *   const { loadConfig, describeConfig } = require('./config');
+ */
+
+const fs = require('fs');
+const { deepMerge } = require('../objects/deepMerge');
+const { ValidationError } = require('../error-handling/errors');
+
+// ============================================
+// Reusable Helpers
+// ============================================
+const UNSAFE_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+const BOOLEANS = { true: true, false: false, yes: true, no: false, on: true, off: false, 1: true, 0: false };
+
+function isPlainObject(value) {
+    return Object.prototype.toString.call(value) === '[object Object]';
+}
+
+function hasOwn(object, key) {
+    return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+function typeName(value) {
+    return Array.isArray(value) ? 'array' : typeof value;
+}
+
+// The value at a list of keys, or undefined
+function getPath(object, path) {
+    return path.reduce((value, key) => (isPlainObject(value) && hasOwn(value, key) ? value[key] : undefined), object);
+}
+
+function setPath(object, path, value) {
+    if (path.some(key => UNSAFE_KEYS.includes(key))) return;
+    let target = object;
+    path.slice(0, -1).forEach(key => {
+        if (!isPlainObject(target[key])) target[key] = {};
+        target = target[key];
+    });
+    target[path[path.length - 1]] = value;
+}
+
+// Converts the text of an environment variable or flag to the type of
+// `example`, the default value. Throws a TypeError if it can't.
+function coerce(text, example) {
+    if (typeof example === 'boolean') {
+        const key = text.trim().toLowerCase();
+        if (!hasOwn(BOOLEANS, key)) {
+            throw new TypeError(`must be true or false, got "${text}"`);
+        }
+        return BOOLEANS[key];
+    }
+    if (typeof example === 'number') {
+        const number = Number(text);
+        if (text.trim() === '' || Number.isNaN(number)) {
+            throw new TypeError(`must be a number, got "${text}"`);
+        }
+        return number;
+    }
+    if (Array.isArray(example)) {
+        const items = text.trim() === '' ? [] : text.split(',').map(item => item.trim());
+        return example.length > 0 ? items.map(item => coerce(item, example[0])) : items;
+    }
+    return text;
+}
+
+// ============================================
+// Reading the Layers
+// ============================================
+// The JSON file, or {} when there is no such file
+function readFile(file) {
+    if (!fs.existsSync(file)) {
+        return {};
+    }
+    let values;
+    try {
+        values = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new ValidationError(`${file}: ${error.message}`, 'file', { cause: error });
+    }
+    if (!isPlainObject(values)) {
+        throw new ValidationError(`${file}: the config file must contain an object`, 'file');
+    }
+    return values;
+}
+
+// APP_MAX_RETRIES -> ['maxRetries'], APP_NOTIFICATIONS__EMAIL -> ['notifications', 'email'].
+// Variables without the prefix are ignored.
+function readEnv(env, prefix) {
+    const values = {};
+    Object.keys(env)
+        .filter(name => name.startsWith(prefix) && name.length > prefix.length)
+        .forEach(name => {
+            const path = name
+                .slice(prefix.length)
+                .split('__')
+                .map(part => part.toLowerCase().replace(/_+([a-z0-9])/g, (match, char) => char.toUpperCase()));
+            setPath(values, path, env[name]);
+        });
+    return values;
+}
+
+// --name=value, --name value, --flag and --no-flag. Dots nest
+// (--notifications.email) and kebab-case becomes camelCase. A flag whose
+// default is a boolean doesn't take the next argument as its value.
+// Everything else (and everything after --) is returned in `args`.
+function readArgs(argv, defaults) {
+    const values = {};
+    const args = [];
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--') {
+            args.push(...argv.slice(i + 1));
+            break;
+        }
+        const match = arg.match(/^--(no-)?([^=]+)(?:=([\s\S]*))?$/);
+        if (!match) {
+            args.push(arg);
+            continue;
+        }
+        const [, negated, name, inline] = match;
+        const path = name.split('.').map(part => part.replace(/-+([a-z0-9])/g, (dash, char) => char.toUpperCase()));
+        let value;
+        if (negated) {
+            value = 'false';
+        } else if (inline !== undefined) {
+            value = inline;
+        } else if (typeof getPath(defaults, path) !== 'boolean' && i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+            value = argv[++i];
+        } else {
+            value = 'true';
+        }
+        setPath(values, path, value);
+    }
+    return { values, args };
+}
+
+// ============================================
+// Checking and Merging
+// ============================================
+// A copy of `values` checked against `shape` (the defaults). Strings are
+// converted when `strings` is true; problems are added to `problems`.
+function check(values, shape, { layer, strings, problems }, prefix = '') {
+    const result = {};
+    Object.keys(values).forEach(key => {
+        const path = prefix ? `${prefix}.${key}` : key;
+        const value = values[key];
+        if (UNSAFE_KEYS.includes(key) || !hasOwn(shape, key)) {
+            problems.push({ path, layer, message: `${path} is not a known setting` });
+            return;
+        }
+        const example = shape[key];
+        if (isPlainObject(example)) {
+            if (isPlainObject(value)) {
+                result[key] = check(value, example, { layer, strings, problems }, path);
+            } else {
+                problems.push({ path, layer, message: `${path} must be an object` });
+            }
+        } else if (strings && typeof value === 'string') {
+            try {
+                result[key] = coerce(value, example);
+            } catch (error) {
+                problems.push({ path, layer, message: `${path} ${error.message}` });
+            }
+        } else if (example !== null && example !== undefined && typeName(value) !== typeName(example)) {
+            problems.push({ path, layer, message: `${path} must be a ${typeName(example)}, got ${typeName(value)}` });
+        } else {
+            result[key] = value;
+        }
+    });
+    return result;
+}
+
+// Marks every setting in `values` as coming from `layer`
+function recordSources(values, layer, sources, prefix = '') {
+    Object.keys(values).forEach(key => {
+        const path = prefix ? `${prefix}.${key}` : key;
+        if (isPlainObject(values[key])) {
+            recordSources(values[key], layer, sources, path);
+        } else if (values[key] !== undefined) {
+            sources[path] = layer;
+        }
+    });
+}
+
+// Options:
+//   defaults   the default settings, which also define the valid keys
+//   file       path of a JSON config file; skipped when it doesn't exist
+//   env        the environment (process.env), read for `envPrefix` names
+//   argv       the flags (process.argv.slice(2))
+// Returns { config, sources, args }; throws a ValidationError listing
+// every problem, each one in details.errors as { path, layer, message }.
+function loadConfig({ defaults = {}, file, env = process.env, envPrefix = 'APP_', argv = process.argv.slice(2) } = {}) {
+    const { values: flags, args } = readArgs(argv, defaults);
+    const layers = [
+        ['file', file === undefined ? {} : readFile(file), false],
+        ['env', readEnv(env, envPrefix), true],
+        ['cli', flags, true]
+    ];
+
+    const problems = [];
+    const sources = {};
+    recordSources(defaults, 'defaults', sources);
+    const checked = layers.map(([layer, values, strings]) => {
+        const result = check(values, defaults, { layer, strings, problems });
+        recordSources(result, layer, sources);
+        return result;
+    });
+
+    if (problems.length > 0) {
+        const message = problems.map(problem => `${problem.message} (${problem.layer})`).join('; ');
+        throw new ValidationError(message, problems[0].path, { details: { errors: problems } });
+    }
+    return { config: deepMerge(defaults, ...checked), sources, args };
+}
+
+// A table of every setting, its value and where it came from
+function describeConfig({ config, sources }) {
+    const rows = Object.keys(sources).map(path => [
+        path,
+        JSON.stringify(getPath(config, path.split('.'))),
+        sources[path]
+    ]);
+    const widths = [0, 1].map(column => Math.max(...rows.map(row => row[column].length)));
+    return rows
+        .map(([path, value, layer]) => `${path.padEnd(widths[0])}  ${value.padEnd(widths[1])}  ${layer}`)
+        .join('\n');
+}
+
+// ============================================
+// Examples
+// ============================================
+function main() {
+    const os = require('os');
+    const path = require('path');
+    const { createConfig } = require('./SpreadRest');
+
+    // The defaults: createConfig()'s, plus a few settings of the service
+    const defaults = createConfig({ port: 3000, debug: false, allowedOrigins: ['localhost'] });
+
+    // A config file, as it would sit next to the service
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-'));
+    const file = path.join(dir, 'config.json');
+    fs.writeFileSync(file, JSON.stringify({ language: 'fr', port: 8080 }));
+
+    try {
+        // ============================================
+        // Each Layer Overrides the One Before
+        // ============================================
+        const result = loadConfig({
+            defaults,
+            file,
+            env: { APP_PORT: '9090', APP_NOTIFICATIONS__EMAIL: 'false', HOME: '/home/app' },
+            argv: ['--theme', 'dark', '--debug', 'serve', '--allowed-origins=example.com,api.example.com']
+        });
+        console.log(result.config);
+        // Output: { theme: 'dark', language: 'fr', notifications: { email: false, push: true }, port: 9090, debug: true, allowedOrigins: ['example.com', 'api.example.com'] }
+
+        // --debug is a boolean flag, so "serve" stays an argument
+        console.log(result.args); // Output: ['serve']
+
+        // ============================================
+        // Where Each Value Came From
+        // ============================================
+        console.log(describeConfig(result));
+        // Output:
+        // theme                "dark"                             cli
+        // language             "fr"                               file
+        // notifications.email  false                              env
+        // notifications.push   true                               defaults
+        // port                 9090                               env
+        // debug                true                               cli
+        // allowedOrigins       ["example.com","api.example.com"]  cli
+
+        // ============================================
+        // Validation
+        // ============================================
+        // Every problem is reported, with the layer it was found in
+        try {
+            loadConfig({
+                defaults,
+                env: { APP_PORT: 'eighty' },
+                argv: ['--colour=blue', '--no-notifications']
+            });
+        } catch (error) {
+            console.log(error.name); // Output: ValidationError
+            error.details.errors.forEach(({ layer, message }) => console.log(`${layer}: ${message}`));
+            // Output:
+            // env: port must be a number, got "eighty"
+            // cli: colour is not a known setting
+            // cli: notifications must be an object
+        }
+
+        // A file that is not valid JSON stops loading right away
+        fs.writeFileSync(file, '{ "port": 8080, }');
+        try {
+            loadConfig({ defaults, file, env: {}, argv: [] });
+        } catch (error) {
+            console.log(error.message.startsWith(`${file}: `), error.cause.name); // Output: true SyntaxError
+        }
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+module.exports = {
+    loadConfig,
+    describeConfig,
+    coerce,
+    main
+};
+
+if (require.main === module) {
+    main();
+}
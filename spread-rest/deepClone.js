@@ -0,0 +1,309 @@
+/**
+ * Deep Cloning
+ *
+ * cloneArray() and cloneObject() in SpreadRest.js are spread copies: only
+ * the outer array or object is new, and everything inside it is shared
+ * with the original. JSON.parse(JSON.stringify(x)) copies everything, but
+ * turns Dates into strings, drops Maps, Sets and prototypes, and throws on
+ * cycles.
+ *
+ * deepClone() copies the whole value and keeps what it is made of:
+ *
+ * - Cycles and shared references (the same object twice stays one object)
+ * - Dates, RegExps, Maps, Sets, ArrayBuffers, typed arrays and DataViews
+ * - Boxed primitives: new Number(5), new String('a'), new Boolean(false)
+ * - The prototype of class instances (and of subclassed built-ins)
+ * - Property descriptors: getters, setters, non-enumerable and read-only
+ *   properties, and frozen or sealed objects
+ * - Symbol keys
+ *
+ * Functions, WeakMaps, WeakSets and Promises can't be copied, so they are
+ * kept as they are. Private class fields (#field) can't be read from
+ * outside the class, so instances that have them lose them.
+ *
+ * With { structured: true } it follows the rules of structuredClone()
+ * instead: prototypes, symbol keys and non-enumerable properties are
+ * dropped, getters are replaced by their value, and a function anywhere
+ * in the value throws a DataCloneError.
+ *
+ * Run this file to see the examples, or require it to use the helpers:
+ *   const { deepClone } = require('./deepClone');
+ */
+
+// ============================================
+// Reusable Helpers
+// ============================================
+// The parent class of Uint8Array, Float64Array...
+const TypedArray = Object.getPrototypeOf(Uint8Array);
+
+// Kept as they are (or, with structured, refused)
+const UNCLONEABLE = [WeakMap, WeakSet, Promise];
+
+// The errors structuredClone() keeps the type of; other errors become Error
+const STANDARD_ERRORS = { Error, EvalError, RangeError, ReferenceError, SyntaxError, TypeError, URIError };
+
+function dataCloneError(value) {
+    const message = `${String(value)} could not be cloned.`;
+    if (typeof DOMException === 'function') {
+        return new DOMException(message, 'DataCloneError');
+    }
+    const error = new Error(message);
+    error.name = 'DataCloneError';
+    return error;
+}
+
+// Uint8Array for a Buffer or a class extending Uint8Array
+function typedArrayBase(view) {
+    let proto = Object.getPrototypeOf(view);
+    while (Object.getPrototypeOf(proto) !== TypedArray.prototype) {
+        proto = Object.getPrototypeOf(proto);
+    }
+    return proto.constructor;
+}
+
+// Properties that are part of the object's contents, and copied by
+// create() rather than as properties
+function isInternalKey(value, key) {
+    if (Array.isArray(value)) return key === 'length';
+    if (ArrayBuffer.isView(value)) return typeof key === 'string' && /^\d+$/.test(key);
+    if (value instanceof String) return key === 'length' || (typeof key === 'string' && /^\d+$/.test(key));
+    return false;
+}
+
+function deepClone(value, { structured = false } = {}) {
+    // original -> copy, for cycles and shared references
+    const copies = new Map();
+
+    // A new, empty object of the same kind as `item`
+    function create(item) {
+        if (Array.isArray(item)) return new Array(item.length);
+        if (item instanceof Date) return new Date(item.getTime());
+        if (item instanceof RegExp) return new RegExp(item.source, item.flags);
+        // new Number(5), Object('a'): the value inside can't be copied as a property
+        if (item instanceof Number || item instanceof String || item instanceof Boolean) {
+            return Object(item.valueOf());
+        }
+        if (item instanceof Map) return new Map();
+        if (item instanceof Set) return new Set();
+        if (item instanceof ArrayBuffer) return item.slice(0);
+        // Views share their buffer's copy, so two views of one buffer
+        // still share it in the clone
+        if (item instanceof DataView) {
+            return new DataView(clone(item.buffer), item.byteOffset, item.byteLength);
+        }
+        if (item instanceof TypedArray) {
+            const Base = typedArrayBase(item);
+            return new Base(clone(item.buffer), item.byteOffset, item.length);
+        }
+        if (item instanceof Error) {
+            if (!structured) return new Error();
+            const copy = new (STANDARD_ERRORS[item.name] || Error)(item.message);
+            copy.stack = item.stack;
+            return copy;
+        }
+        return structured ? {} : Object.create(Object.getPrototypeOf(item));
+    }
+
+    // Copies the contents of `item` into `copy`
+    function fill(item, copy) {
+        if (item instanceof Map) {
+            item.forEach((entry, key) => copy.set(clone(key), clone(entry)));
+        } else if (item instanceof Set) {
+            item.forEach(entry => copy.add(clone(entry)));
+        }
+
+        if (structured) {
+            // Only own enumerable string keys, read through their getters
+            if (item instanceof Error) {
+                if ('cause' in item) copy.cause = clone(item.cause);
+            } else if (Array.isArray(copy) || Object.getPrototypeOf(copy) === Object.prototype) {
+                Object.keys(item).forEach(key => {
+                    copy[key] = clone(item[key]);
+                });
+            }
+            return;
+        }
+
+        if (Object.getPrototypeOf(copy) !== Object.getPrototypeOf(item)) {
+            Object.setPrototypeOf(copy, Object.getPrototypeOf(item));
+        }
+        Reflect.ownKeys(item).forEach(key => {
+            if (isInternalKey(item, key)) return;
+            const descriptor = Object.getOwnPropertyDescriptor(item, key);
+            if ('value' in descriptor) {
+                descriptor.value = clone(descriptor.value);
+            }
+            Object.defineProperty(copy, key, descriptor);
+        });
+        if (Object.isFrozen(item)) {
+            Object.freeze(copy);
+        } else if (Object.isSealed(item)) {
+            Object.seal(copy);
+        } else if (!Object.isExtensible(item)) {
+            Object.preventExtensions(copy);
+        }
+    }
+
+    function clone(item) {
+        if (typeof item === 'function') {
+            if (structured) throw dataCloneError(item);
+            return item;
+        }
+        if (typeof item !== 'object' || item === null) {
+            return item;
+        }
+        if (copies.has(item)) {
+            return copies.get(item);
+        }
+        if (UNCLONEABLE.some(type => item instanceof type)) {
+            if (structured) throw dataCloneError(item);
+            return item;
+        }
+        const copy = create(item);
+        // Registered before its contents are copied, so they can refer back to it
+        copies.set(item, copy);
+        fill(item, copy);
+        return copy;
+    }
+
+    return clone(value);
+}
+
+// ============================================
+// Examples
+// ============================================
+function main() {
+    const { isDeepStrictEqual } = require('util');
+    const { cloneObject } = require('./SpreadRest');
+
+    class User {
+        constructor(name) {
+            this.name = name;
+        }
+
+        greet() {
+            return `Hi, I'm ${this.name}`;
+        }
+    }
+
+    // ============================================
+    // Shallow vs Deep: What Is Shared?
+    // ============================================
+    // Each row copies one kind of value four ways and checks the copy:
+    // "shared" means the copy still points at the original
+    const ID = Symbol('id');
+    const cloners = {
+        spread: cloneObject,
+        JSON: value => JSON.parse(JSON.stringify(value)),
+        structured: value => deepClone(value, { structured: true }),
+        deepClone: value => deepClone(value)
+    };
+    const describe = (original, copy) => {
+        if (copy === original) return 'shared';
+        if (copy === undefined) return 'lost';
+        if (typeof copy !== 'object') return typeof copy;
+        return Object.getPrototypeOf(copy) === Object.getPrototypeOf(original) ? 'copied' : 'plain object';
+    };
+    const rows = {
+        'nested object': { theme: 'dark' },
+        Date: new Date(0),
+        Map: new Map([['a', 1]]),
+        'class instance': new User('Ann')
+    };
+    const sample = { ...rows, [ID]: { id: 7 } };
+    const loop = { name: 'loop' };
+    loop.self = loop;
+
+    const table = [['', ...Object.keys(cloners)]];
+    Object.keys(rows).forEach(row => {
+        table.push([row, ...Object.values(cloners).map(cloneWith => describe(sample[row], cloneWith(sample)[row]))]);
+    });
+    table.push(['symbol key', ...Object.values(cloners).map(cloneWith => describe(sample[ID], cloneWith(sample)[ID]))]);
+    table.push(['cycle', ...Object.values(cloners).map(cloneWith => {
+        try {
+            const copy = cloneWith(loop);
+            return copy.self === copy ? 'kept' : describe(loop, copy.self);
+        } catch (error) {
+            return 'throws';
+        }
+    })]);
+    const widths = table[0].map((cell, column) => Math.max(...table.map(row => row[column].length)));
+    table.forEach(row => console.log(row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd()));
+    // Output:
+    //                 spread  JSON          structured    deepClone
+    // nested object   shared  copied        copied        copied
+    // Date            shared  string        copied        copied
+    // Map             shared  plain object  copied        copied
+    // class instance  shared  plain object  plain object  copied
+    // symbol key      shared  lost          lost          copied
+    // cycle           shared  throws        kept          kept
+
+    // ============================================
+    // Class Instances Keep Their Methods
+    // ============================================
+    const ann = deepClone(new User('Ann'));
+    console.log(ann instanceof User, ann.greet()); // Output: true Hi, I'm Ann
+
+    // ============================================
+    // Built-in Types
+    // ============================================
+    const buffer = new ArrayBuffer(4);
+    const original = {
+        pattern: /ab+c/gi,
+        tags: new Set(['a', 'b']),
+        bytes: new Uint8Array(buffer),
+        view: new DataView(buffer)
+    };
+    const copy = deepClone(original);
+    copy.view.setUint8(0, 255);
+    // The two views still share one (new) buffer...
+    console.log(copy.bytes[0], copy.bytes.buffer === copy.view.buffer); // Output: 255 true
+    // ...which is not the original's
+    console.log(original.bytes[0]); // Output: 0
+    console.log(copy.pattern, copy.pattern !== original.pattern); // Output: /ab+c/gi true
+    console.log(copy.tags); // Output: Set(2) { 'a', 'b' }
+
+    // Boxed primitives keep their value, with or without structured
+    const boxed = deepClone([new Number(5), new String('hi'), new Boolean(false)]);
+    console.log(boxed, boxed[0] + 1); // Output: [ [Number: 5], [String: 'hi'], [Boolean: false] ] 6
+    console.log(deepClone(new Number(5), { structured: true })); // Output: [Number: 5]
+
+    // ============================================
+    // Property Descriptors
+    // ============================================
+    const account = Object.freeze(Object.defineProperties({}, {
+        id: { value: 42, enumerable: false },
+        label: { get() { return `Account ${this.id}`; }, enumerable: true }
+    }));
+    const accountCopy = deepClone(account);
+    console.log(Object.isFrozen(accountCopy), accountCopy.id, accountCopy.label); // Output: true 42 Account 42
+    console.log(Object.keys(accountCopy)); // Output: ['label']
+
+    // structuredClone() rules read the getter once and drop the rest
+    console.log(deepClone(account, { structured: true })); // Output: { label: 'Account 42' }
+
+    // ============================================
+    // The structured Option
+    // ============================================
+    // The same result as the built-in structuredClone() (Node 17+)
+    const data = { when: new Date(0), scores: new Map([['ann', [1, 2]]]), user: new User('Bo') };
+    data.self = data;
+    const structured = deepClone(data, { structured: true });
+    console.log(typeof structuredClone !== 'function' || isDeepStrictEqual(structured, structuredClone(data))); // Output: true
+
+    // ...including refusing functions
+    try {
+        deepClone({ onSave() {} }, { structured: true });
+    } catch (error) {
+        console.log(error.name); // Output: DataCloneError
+    }
+}
+
+module.exports = {
+    deepClone,
+    main
+};
+
+if (require.main === module) {
+    main();
+}
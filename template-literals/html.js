@@ -0,0 +1,294 @@
+/**
+ * Safe HTML with a Tagged Template
+ *
+ * Interpolating values straight into markup lets the values write markup
+ * of their own:
+ *
+ *   `<h2>${name}</h2>`   // name = '<script>steal()</script>'
+ *
+ * The `html` tag escapes every value for the place it appears in, so the
+ * values can only ever be text:
+ *
+ * - Between tags, < > & " ' become entities
+ * - In an attribute value the same escaping keeps the value inside its
+ *   quotes; an unquoted value is quoted, and an array becomes a
+ *   space-separated list (handy for class names)
+ * - URL attributes (href, src, ...) refuse javascript: and similar URLs
+ * - srcdoc holds a whole document, so it only takes html`...` fragments
+ * - A value can't be a tag name or part of one: <${tag}> is rejected
+ * - Inside a tag, an object becomes attributes: { id: 'x', hidden: true }
+ * - Event handler attributes (onclick, ...) are rejected: their value is
+ *   code, and no escaping makes code safe
+ *
+ * The result of html`...` is trusted markup, so templates nest, and an
+ * array of them renders as a list. html.trusted() marks markup from
+ * elsewhere as safe; only use it for markup you wrote yourself.
+ *
+ * Run this file to see the examples, or require it to use the helpers:
+ *   const { html } = require('./html');
+ */
+
+// ============================================
+// Reusable Helpers
+// ============================================
+const ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, char => ENTITIES[char]);
+}
+
+// Attributes whose value is a URL the browser may follow or load
+const URL_ATTRIBUTES = ['href', 'src', 'action', 'formaction', 'poster', 'cite', 'data', 'xlink:href'];
+
+// Browsers ignore whitespace and control characters in a URL's scheme,
+// so "java\tscript:" counts too
+function isScriptURL(value) {
+    return /^(?:javascript|vbscript|data):/i.test(String(value).replace(/[\u0000- ]/g, ''));
+}
+
+// Markup that is safe to insert as it is
+class HtmlFragment {
+    constructor(markup) {
+        this.markup = markup;
+    }
+
+    toString() {
+        return this.markup;
+    }
+}
+
+// ============================================
+// Where Is the Value?
+// ============================================
+// Follows the template's own text (never the values, which can't contain
+// markup once escaped) to know whether the next value lands in text, in a
+// tag, or in an attribute value.
+function scan(text, state) {
+    let { mode, attribute, name, nameDone, valueText } = state;
+    for (const char of text) {
+        switch (mode) {
+            case 'text':
+                if (char === '<') mode = 'open';
+                break;
+            case 'open':
+                mode = /[a-zA-Z/!?]/.test(char) ? 'tag' : 'text';
+                // The tag name is the first name in the tag
+                name = char;
+                nameDone = false;
+                break;
+            case 'tag':
+                if (char === '>') {
+                    mode = 'text';
+                } else if (char === '=') {
+                    attribute = name.toLowerCase();
+                    mode = 'before-value';
+                } else if (/[^\s"'/]/.test(char)) {
+                    // A name character after a finished name starts a new one
+                    name = nameDone ? char : name + char;
+                    nameDone = false;
+                } else {
+                    nameDone = true;
+                }
+                break;
+            case 'before-value':
+                if (char === '"' || char === "'") {
+                    mode = char === '"' ? 'double-quoted' : 'single-quoted';
+                    valueText = '';
+                } else if (char === '>') {
+                    mode = 'text';
+                } else if (!/\s/.test(char)) {
+                    mode = 'unquoted';
+                }
+                break;
+            case 'unquoted':
+                if (char === '>') mode = 'text';
+                else if (/\s/.test(char)) mode = 'tag';
+                break;
+            default:
+                if (char === (mode === 'double-quoted' ? '"' : "'")) {
+                    mode = 'tag';
+                    name = '';
+                    nameDone = false;
+                } else {
+                    valueText += char;
+                }
+        }
+    }
+    return Object.assign(state, { mode, attribute, name, nameDone, valueText });
+}
+
+// ============================================
+// Rendering Values
+// ============================================
+function renderText(value) {
+    if (value instanceof HtmlFragment) return value.markup;
+    if (Array.isArray(value)) return value.map(renderText).join('');
+    if (value === null || value === undefined || value === false) return '';
+    return escapeHtml(value);
+}
+
+// The text a value puts in attribute `attribute` (not escaped yet).
+// `before` is the attribute's text so far: until it has a ':', '/', '?'
+// or '#', a URL's scheme isn't settled, so the two together are checked:
+// href="${'java'}${'script:...'}" is caught as well.
+function attributeText(attribute, value, before = '') {
+    if (/^on/i.test(attribute)) {
+        throw new TypeError(`html: cannot put a value in the event handler attribute ${attribute}`);
+    }
+    // The browser decodes srcdoc back into markup, so escaping isn't enough
+    if (attribute === 'srcdoc') {
+        if (!(value instanceof HtmlFragment)) {
+            throw new TypeError('html: srcdoc only takes html`...` fragments');
+        }
+        return value.markup;
+    }
+    let text;
+    if (Array.isArray(value)) {
+        text = value.filter(item => item !== null && item !== undefined && item !== false).join(' ');
+    } else {
+        text = value === null || value === undefined || value === false ? '' : String(value);
+    }
+    if (URL_ATTRIBUTES.includes(attribute) && !/[:/?#]/.test(before) && isScriptURL(before + text)) {
+        text = 'about:blank';
+    }
+    return text;
+}
+
+// { id: 'main', hidden: true, title: null } -> 'id="main" hidden'
+function renderAttributes(attributes) {
+    if (typeof attributes !== 'object' || attributes === null || Array.isArray(attributes)) {
+        throw new TypeError('html: only an object of attributes can go inside a tag');
+    }
+    return Object.entries(attributes)
+        .map(([key, value]) => {
+            if (!/^[^\s"'>/=]+$/.test(key)) {
+                throw new TypeError(`html: invalid attribute name ${JSON.stringify(key)}`);
+            }
+            if (value === true) return key;
+            if (value === false || value === null || value === undefined) return '';
+            return `${key}="${escapeHtml(attributeText(key.toLowerCase(), value))}"`;
+        })
+        .filter(Boolean)
+        .join(' ');
+}
+
+function html(strings, ...values) {
+    const state = { mode: 'text', attribute: '', name: '', valueText: '', nameDone: false };
+    let markup = strings[0];
+    scan(strings[0], state);
+
+    values.forEach((value, i) => {
+        switch (state.mode) {
+            case 'open':
+                throw new TypeError('html: a value cannot be a tag name');
+            case 'tag':
+                // Right after a name, the value would become part of it
+                if (state.name !== '' && !state.nameDone) {
+                    throw new TypeError(`html: put a space between ${state.name} and the attributes`);
+                }
+                markup += renderAttributes(value);
+                break;
+            case 'before-value':
+                markup += `"${escapeHtml(attributeText(state.attribute, value))}"`;
+                Object.assign(state, { mode: 'tag', name: '', nameDone: false });
+                break;
+            case 'double-quoted':
+            case 'single-quoted': {
+                const text = attributeText(state.attribute, value, state.valueText);
+                markup += escapeHtml(text);
+                state.valueText += text;
+                break;
+            }
+            case 'unquoted':
+                throw new TypeError(`html: put quotes around the value of ${state.attribute}`);
+            default:
+                markup += renderText(value);
+                state.mode = 'text';
+        }
+        markup += strings[i + 1];
+        scan(strings[i + 1], state);
+    });
+
+    return new HtmlFragment(markup);
+}
+
+html.trusted = markup => new HtmlFragment(String(markup));
+
+// ============================================
+// Examples
+// ============================================
+function main() {
+    // ============================================
+    // Values Are Escaped
+    // ============================================
+    const name = '<script>alert("hi")</script>';
+    console.log(String(html`<h2>${name}</h2>`));
+    // Output: <h2>&lt;script&gt;alert(&quot;hi&quot;)&lt;/script&gt;</h2>
+
+    // Markup you wrote yourself can be marked as trusted
+    const icon = html.trusted('<svg class="icon"></svg>');
+    console.log(String(html`<button>${icon} Save</button>`)); // Output: <button><svg class="icon"></svg> Save</button>
+
+    // ============================================
+    // Nested Templates and Lists
+    // ============================================
+    // A template's result is trusted, so it can be nested; an array of
+    // them renders one after another
+    const users = [
+        { name: 'Alice', email: 'alice@example.com' },
+        { name: 'Bob <b>', email: 'bob@example.com' }
+    ];
+    const list = html`<ul>${users.map(user => html`<li>${user.name}</li>`)}</ul>`;
+    console.log(String(list)); // Output: <ul><li>Alice</li><li>Bob &lt;b&gt;</li></ul>
+
+    // false, null and undefined render nothing, for conditional parts
+    const isAdmin = false;
+    console.log(String(html`<p>Alice${isAdmin && html` <em>(admin)</em>`}</p>`)); // Output: <p>Alice</p>
+
+    // ============================================
+    // Attributes
+    // ============================================
+    // A quote in the value can't end the attribute
+    const title = 'Say "hi"';
+    console.log(String(html`<a title="${title}">Hi</a>`)); // Output: <a title="Say &quot;hi&quot;">Hi</a>
+
+    // An unquoted value gets quotes; an array becomes a list
+    const classes = ['card', 'card--active'];
+    console.log(String(html`<div class=${classes}></div>`)); // Output: <div class="card card--active"></div>
+
+    // An object inside a tag becomes attributes
+    const attributes = { id: 'save', disabled: true, hidden: false, 'data-user': 'Bob <b>' };
+    console.log(String(html`<button ${attributes}>Save</button>`));
+    // Output: <button id="save" disabled data-user="Bob &lt;b&gt;">Save</button>
+
+    // A link can't run code
+    const website = 'javascript:alert(1)';
+    console.log(String(html`<a href="${website}">Website</a>`)); // Output: <a href="about:blank">Website</a>
+    // ...even when the value is made of several parts
+    console.log(String(html`<a href="${''}${website}">Website</a>`)); // Output: <a href="about:blank">Website</a>
+
+    // A value can't choose the tag either
+    try {
+        html`<${'img src=x onerror=alert(1)'}>`;
+    } catch (error) {
+        console.log(error.message); // Output: html: a value cannot be a tag name
+    }
+
+    // Event handlers hold code, so values are refused there
+    try {
+        html`<button onclick="greet('${name}')">Greet</button>`;
+    } catch (error) {
+        console.log(error.message); // Output: html: cannot put a value in the event handler attribute onclick
+    }
+}
+
+module.exports = {
+    html,
+    escapeHtml,
+    HtmlFragment,
+    main
+};
+
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,320 @@
+/**
+ * A Structured Logger
+ *
+ * logWithContext() builds one string per message, so a nested value prints
+ * as [object Object] and nothing but a person can read the result. A
+ * structured logger keeps each entry as data (time, level, message and
+ * context) and only turns it into text at the end, in the format you pick:
+ *
+ *   pretty   2024-05-01T12:00:00.000Z INFO  User logged in | userId: 123
+ *   json     {"time":"2024-05-01T12:00:00.000Z","level":"info","msg":"User logged in","userId":123}
+ *   logfmt   time=2024-05-01T12:00:00.000Z level=info msg="User logged in" userId=123
+ *
+ * - Levels: messages below the logger's level are dropped
+ * - logger.child(context) adds context to every entry of the child
+ * - Keys such as password and token are redacted, however deep they are
+ * - Errors keep their name, message, code, stack and cause chain
+ *
+ * Run this file to see the examples, or require it to use the helpers:
+ *   const { createLogger } = require('./logger');
+ */
+
+// ============================================
+// Reusable Helpers
+// ============================================
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+// A key is redacted when, ignoring case, - and _, it ends with one of
+// these: password, userPassword, access_token, X-Api-Key...
+const DEFAULT_REDACT = ['password', 'token', 'secret', 'apikey', 'authorization', 'cookie'];
+
+const REDACTED = '[REDACTED]';
+
+// Entries always start with these; context can't replace them
+const RESERVED_KEYS = ['time', 'level', 'msg'];
+
+function isSensitive(key, redact) {
+    const normalized = key.toLowerCase().replace(/[-_]/g, '');
+    return redact.some(word => normalized.endsWith(word));
+}
+
+// Errors as plain objects. toJSON() (see error-handling/errors.js)
+// provides code and details; other errors keep their own enumerable
+// properties, such as the code, errno and syscall of Node's errors. The
+// stack and cause are added here.
+function errorToObject(error, redact, seen) {
+    const base = typeof error.toJSON === 'function'
+        ? error.toJSON()
+        : { name: error.name, message: error.message, ...error };
+    const result = prepare({ ...base, cause: undefined }, redact, seen);
+    delete result.cause;
+    result.stack = error.stack;
+    if (error.cause !== undefined) {
+        result.cause = prepare(error.cause, redact, seen);
+    }
+    return result;
+}
+
+// A copy of `value` ready to be written out: errors and dates become
+// plain values, sensitive keys are redacted and cycles are cut
+function prepare(value, redact, seen = new Set()) {
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+    if (typeof value === 'bigint') {
+        return value.toString();
+    }
+    if (typeof value !== 'object' || value === null) {
+        return value;
+    }
+    if (seen.has(value)) {
+        return '[Circular]';
+    }
+    seen.add(value);
+    let result;
+    if (value instanceof Error) {
+        result = errorToObject(value, redact, seen);
+    } else if (Array.isArray(value)) {
+        result = value.map(item => prepare(item, redact, seen));
+    } else {
+        result = {};
+        for (const [key, item] of Object.entries(value)) {
+            result[key] = isSensitive(key, redact) ? REDACTED : prepare(item, redact, seen);
+        }
+    }
+    seen.delete(value);
+    return result;
+}
+
+// How a context value reads in the pretty format
+function formatValue(value) {
+    if (value instanceof Error) {
+        return `${value.name}: ${value.message}`;
+    }
+    if (typeof value === 'object' && value !== null) {
+        if (typeof value.stack === 'string' && typeof value.message === 'string') {
+            return `${value.name}: ${value.message}`;
+        }
+        return JSON.stringify(value);
+    }
+    return String(value);
+}
+
+// ============================================
+// Formats
+// ============================================
+// Each takes an entry ({ time, level, msg, ...context }) and returns a line
+const formats = {
+    pretty(entry) {
+        const { time, level, msg, ...context } = entry;
+        const pairs = Object.entries(context).map(([key, value]) => `${key}: ${formatValue(value)}`);
+        let line = `${time} ${level.toUpperCase().padEnd(5)} ${msg}`;
+        if (pairs.length > 0) {
+            line += ` | ${pairs.join(', ')}`;
+        }
+        // Stacks go below the line, where they can be read
+        for (const value of Object.values(context)) {
+            for (let error = value; error && typeof error.stack === 'string'; error = error.cause) {
+                const [first, ...frames] = error.stack.split('\n');
+                line += `\n    ${error === value ? '' : 'Caused by: '}${first}`;
+                frames.forEach(frame => {
+                    line += `\n        ${frame.trim()}`;
+                });
+            }
+        }
+        return line;
+    },
+
+    json(entry) {
+        return JSON.stringify(entry);
+    },
+
+    // key=value pairs; nested keys are joined with dots (user.id=1) and
+    // values with spaces, quotes or = are quoted
+    logfmt(entry) {
+        const pairs = [];
+        const add = (key, value) => {
+            if (value === undefined) return;
+            if (typeof value === 'object' && value !== null) {
+                Object.entries(value).forEach(([name, item]) => add(`${key}.${name}`, item));
+                return;
+            }
+            const text = String(value);
+            const quoted = text === '' || /[\s"=\\]/.test(text) ? JSON.stringify(text) : text;
+            pairs.push(`${key}=${quoted}`);
+        };
+        Object.entries(entry).forEach(([key, value]) => add(key, value));
+        return pairs.join(' ');
+    }
+};
+
+function defaultWrite(line, level) {
+    if (level === 'error' || level === 'warn') {
+        console.error(line);
+    } else {
+        console.log(line);
+    }
+}
+
+// ============================================
+// The Logger
+// ============================================
+class Logger {
+    constructor({
+        level = 'info',
+        format = 'pretty',
+        context = {},
+        redact = DEFAULT_REDACT,
+        write = defaultWrite,
+        now = () => new Date()
+    } = {}) {
+        if (!(level in LEVELS)) {
+            throw new RangeError(`Unknown log level: ${level}`);
+        }
+        const formatter = typeof format === 'function' ? format : formats[format];
+        if (!formatter) {
+            throw new RangeError(`Unknown log format: ${format}`);
+        }
+        this.options = { level, format, context, redact, write, now };
+        this.formatter = formatter;
+        this.redact = redact.map(word => word.toLowerCase().replace(/[-_]/g, ''));
+    }
+
+    isLevelEnabled(level) {
+        return LEVELS[level] >= LEVELS[this.options.level];
+    }
+
+    // A logger that adds `context` to everything it logs
+    child(context) {
+        return new Logger({ ...this.options, context: { ...this.options.context, ...context } });
+    }
+
+    debug(message, context) {
+        this.log('debug', message, context);
+    }
+
+    info(message, context) {
+        this.log('info', message, context);
+    }
+
+    warn(message, context) {
+        this.log('warn', message, context);
+    }
+
+    // An Error can be passed instead of a message
+    error(message, context) {
+        this.log('error', message, context);
+    }
+
+    log(level, message, context = {}) {
+        if (!this.isLevelEnabled(level)) return;
+        let msg = message;
+        let extra = context;
+        if (message instanceof Error) {
+            msg = message.message;
+            extra = { ...context, error: message };
+        }
+
+        const entry = { time: this.options.now().toISOString(), level, msg: String(msg) };
+        const prepared = prepare({ ...this.options.context, ...extra }, this.redact);
+        for (const [key, value] of Object.entries(prepared)) {
+            if (!RESERVED_KEYS.includes(key)) {
+                entry[key] = value;
+            }
+        }
+        this.options.write(this.formatter(entry), level);
+    }
+}
+
+function createLogger(options) {
+    return new Logger(options);
+}
+
+// ============================================
+// Examples
+// ============================================
+function main() {
+    const { NetworkError } = require('../error-handling/errors');
+
+    // A fixed clock, so the timestamps are the same on every run
+    const now = () => new Date('2024-05-01T12:00:00.000Z');
+
+    // ============================================
+    // Levels and Formats
+    // ============================================
+    const logger = createLogger({ level: 'info', now });
+    logger.debug('Cache miss', { key: 'user:1' }); // below "info": not printed
+    logger.info('User logged in', { userId: 123, ip: '192.168.1.1' });
+    // Output: 2024-05-01T12:00:00.000Z INFO  User logged in | userId: 123, ip: 192.168.1.1
+
+    // Nested values stay readable
+    logger.info('Cart updated', { cart: { items: 2, total: 19.99 } });
+    // Output: 2024-05-01T12:00:00.000Z INFO  Cart updated | cart: {"items":2,"total":19.99}
+
+    // The same entry as JSON lines, for log collectors...
+    const jsonLogger = createLogger({ format: 'json', now });
+    jsonLogger.info('Cart updated', { cart: { items: 2, total: 19.99 } });
+    // Output: {"time":"2024-05-01T12:00:00.000Z","level":"info","msg":"Cart updated","cart":{"items":2,"total":19.99}}
+
+    // ...or logfmt, easy to read and to grep
+    const logfmtLogger = createLogger({ format: 'logfmt', now });
+    logfmtLogger.info('Cart updated', { cart: { items: 2, total: 19.99 }, user: 'Jane Doe' });
+    // Output: time=2024-05-01T12:00:00.000Z level=info msg="Cart updated" cart.items=2 cart.total=19.99 user="Jane Doe"
+
+    // ============================================
+    // Child Loggers
+    // ============================================
+    // Everything a request logs carries its id, without repeating it
+    const requestLogger = jsonLogger.child({ requestId: 'req-42' });
+    const userLogger = requestLogger.child({ userId: 7 });
+    userLogger.info('Profile loaded');
+    // Output: {"time":"2024-05-01T12:00:00.000Z","level":"info","msg":"Profile loaded","requestId":"req-42","userId":7}
+
+    // ============================================
+    // Redaction
+    // ============================================
+    logfmtLogger.info('Signing up', {
+        user: { email: 'jane@example.com', password: 'hunter2' },
+        accessToken: 'abc123'
+    });
+    // Output: time=2024-05-01T12:00:00.000Z level=info msg="Signing up" user.email=jane@example.com user.password=[REDACTED] accessToken=[REDACTED]
+
+    // ============================================
+    // Errors
+    // ============================================
+    // Name, message, code and the whole cause chain are kept. Only the
+    // first lines are shown here; the entry also has each error's stack.
+    const error = new NetworkError('Payment service unavailable', {
+        status: 503,
+        cause: new Error('connect ECONNREFUSED')
+    });
+    const lines = [];
+    createLogger({ format: 'json', now, write: line => lines.push(line) }).error(error);
+    const entry = JSON.parse(lines[0]);
+    console.log(entry.msg); // Output: Payment service unavailable
+    console.log(entry.error.code, entry.error.status); // Output: NETWORK_ERROR 503
+    console.log(entry.error.cause.message); // Output: connect ECONNREFUSED
+    console.log(entry.error.stack.split('\n')[0]); // Output: NetworkError: Payment service unavailable
+
+    // Node's own errors keep their code and syscall too
+    try {
+        require('fs').readFileSync('/no/such/file');
+    } catch (readError) {
+        lines.length = 0;
+        createLogger({ format: 'json', now, write: line => lines.push(line) }).error(readError);
+        const { code, syscall } = JSON.parse(lines[0]).error;
+        console.log(code, syscall); // Output: ENOENT open
+    }
+}
+
+module.exports = {
+    createLogger,
+    Logger,
+    formats,
+    formatValue,
+    main
+};
+
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,191 @@
+/**
+ * Safe SQL with a Tagged Template
+ *
+ * Building SQL by interpolating values into a string lets the values
+ * rewrite the query:
+ *
+ *   `SELECT * FROM users WHERE name = '${name}'`
+ *   // name = "x' OR '1'='1"  ->  ... WHERE name = 'x' OR '1'='1'
+ *
+ * The `sql` tag never puts a value into the text. Each one becomes a
+ * positional parameter, and the database driver sends the values
+ * separately (node-postgres takes `{ text, values }` as it is):
+ *
+ *   sql`SELECT * FROM users WHERE name = ${name}`
+ *   // text:   SELECT * FROM users WHERE name = $1
+ *   // values: ["x' OR '1'='1"]
+ *
+ * - sql.id(name) quotes a table or column name, which can't be a parameter
+ * - An array becomes a list of parameters, for IN (...); an empty one
+ *   throws, since neither IN () nor a stand-in means "no ids" for NOT IN
+ * - A sql`` fragment inside another one is inlined and renumbered, so
+ *   queries can be assembled from parts; sql.join() glues a list of them
+ *
+ * Run this file to see the examples, or require it to use the helpers:
+ *   const { sql } = require('./sql');
+ */
+
+// ============================================
+// Reusable Helpers
+// ============================================
+// A piece of SQL: the literal strings of the template and the values
+// between them. text and values are worked out when they are read, so a
+// fragment can be numbered differently in every query it ends up in.
+class SqlFragment {
+    constructor(strings, values) {
+        this.strings = strings;
+        this.parts = values;
+    }
+
+    get text() {
+        return this.compile().text;
+    }
+
+    get values() {
+        return this.compile().values;
+    }
+
+    compile() {
+        const values = [];
+        const text = render(this, values);
+        return { text, values };
+    }
+}
+
+// A table or column name, double-quoted as standard SQL (and PostgreSQL)
+// expects. "schema.table" quotes each part.
+class SqlIdentifier {
+    constructor(name) {
+        if (typeof name !== 'string' || name === '') {
+            throw new TypeError(`sql.id() needs a non-empty string, got ${String(name)}`);
+        }
+        this.name = name;
+    }
+
+    toString() {
+        return this.name
+            .split('.')
+            .map(part => `"${part.replace(/"/g, '""')}"`)
+            .join('.');
+    }
+}
+
+function render(fragment, values) {
+    return fragment.strings.reduce((text, string, i) => {
+        if (i === 0) return string;
+        return text + renderValue(fragment.parts[i - 1], values) + string;
+    }, '');
+}
+
+function renderValue(value, values) {
+    if (value instanceof SqlFragment) {
+        return render(value, values);
+    }
+    if (value instanceof SqlIdentifier) {
+        return value.toString();
+    }
+    if (Array.isArray(value)) {
+        // IN () is a syntax error, and no stand-in is right for both IN and
+        // NOT IN: NOT IN (NULL) matches no row at all. The caller decides.
+        if (value.length === 0) {
+            throw new TypeError('sql: cannot use an empty list (check for it before building the query)');
+        }
+        return value.map(item => renderValue(item, values)).join(', ');
+    }
+    if (value === undefined) {
+        throw new TypeError('sql: cannot use undefined as a value (use null for NULL)');
+    }
+    values.push(value);
+    return `$${values.length}`;
+}
+
+function sql(strings, ...values) {
+    return new SqlFragment(strings, values);
+}
+
+sql.id = name => new SqlIdentifier(name);
+
+// Joins fragments (or values) with a separator, such as ' AND '. A string
+// separator is used as SQL text, so only pass one written in your code.
+sql.join = (parts, separator = ', ') => {
+    const glue = separator instanceof SqlFragment ? separator : sql([separator]);
+    const values = [];
+    parts.forEach((part, index) => {
+        if (index > 0) values.push(glue);
+        values.push(part);
+    });
+    // An empty string before, between and after the values
+    return new SqlFragment(new Array(values.length + 1).fill(''), values);
+};
+
+// ============================================
+// Examples
+// ============================================
+function main() {
+    // ============================================
+    // Values Become Parameters
+    // ============================================
+    const status = 'active';
+    const minAge = 18;
+    const query = sql`SELECT * FROM users WHERE status = ${status} AND age >= ${minAge}`;
+    console.log(query.text); // Output: SELECT * FROM users WHERE status = $1 AND age >= $2
+    console.log(query.values); // Output: ['active', 18]
+
+    // A malicious value stays a value: it can't change the query
+    const name = "x' OR '1'='1";
+    const lookup = sql`SELECT * FROM users WHERE name = ${name}`;
+    console.log(lookup.text); // Output: SELECT * FROM users WHERE name = $1
+    console.log(lookup.values); // Output: ["x' OR '1'='1"]
+
+    // ============================================
+    // Table and Column Names
+    // ============================================
+    // Names can't be parameters, so sql.id() quotes them instead; a quote
+    // inside the name is doubled and can't end the identifier
+    const column = 'created_at';
+    console.log(sql`SELECT ${sql.id(column)} FROM ${sql.id('public.orders')}`.text);
+    // Output: SELECT "created_at" FROM "public"."orders"
+    console.log(sql`SELECT * FROM ${sql.id('users"; DROP TABLE users; --')}`.text);
+    // Output: SELECT * FROM "users""; DROP TABLE users; --"
+
+    // ============================================
+    // IN (...) Lists
+    // ============================================
+    const ids = [3, 5, 8];
+    const byIds = sql`SELECT * FROM users WHERE id IN (${ids})`;
+    console.log(byIds.text); // Output: SELECT * FROM users WHERE id IN ($1, $2, $3)
+    console.log(byIds.values); // Output: [3, 5, 8]
+
+    // An empty list has no right SQL for both IN and NOT IN, so it throws
+    try {
+        sql`SELECT * FROM users WHERE id NOT IN (${[]})`.compile();
+    } catch (error) {
+        console.log(error.message); // Output: sql: cannot use an empty list (check for it before building the query)
+    }
+
+    // ============================================
+    // Composing Queries from Fragments
+    // ============================================
+    // Each fragment is numbered where it ends up
+    const filters = [sql`status = ${'active'}`, sql`role IN (${['admin', 'owner']})`];
+    const paged = sql`SELECT * FROM users WHERE ${sql.join(filters, ' AND ')} LIMIT ${10}`;
+    console.log(paged.text); // Output: SELECT * FROM users WHERE status = $1 AND role IN ($2, $3) LIMIT $4
+    console.log(paged.values); // Output: ['active', 'admin', 'owner', 10]
+
+    // Forgetting a value is a bug, not a NULL
+    try {
+        sql`SELECT * FROM users WHERE id = ${undefined}`.compile();
+    } catch (error) {
+        console.log(error.message); // Output: sql: cannot use undefined as a value (use null for NULL)
+    }
+}
+
+module.exports = {
+    sql,
+    SqlFragment,
+    main
+};
+
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,263 @@
+/**
+ * Building and Parsing URLs
+ *
+ * `${base}/${path}?${key}=${value}` looks like enough to build a URL, but
+ * a value with a space, & or é breaks it, and so does a base that already
+ * has a query string. buildURL() takes care of it:
+ *
+ * - Keys and values are percent-encoded
+ * - An array repeats its key (tag=a&tag=b), or with { arrays: 'brackets' }
+ *   adds [] to it (tag[]=a&tag[]=b)
+ * - Nested objects use brackets: filter[age][min]=18
+ * - The query string and #hash of the base are kept; params replace the
+ *   base's values of the same name
+ * - Slashes between base and path are normalized: no doubles, no gaps
+ *
+ * parseURL() and parseQuery() read URLs back into the same pieces, so a
+ * URL built from string values parses back to them.
+ *
+ * Run this file to see the examples, or require it to use the helpers:
+ *   const { buildURL, parseURL } = require('./url');
+ */
+
+// ============================================
+// Reusable Helpers
+// ============================================
+// Keys that would reach Object.prototype when assigned
+const UNSAFE_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+// "scheme://host" (or a protocol-relative "//host") and the rest of a URL
+const ORIGIN = /^((?:[a-z][a-z\d+.-]*:)?\/\/[^/?#]*)?(.*)$/i;
+
+function isPlainObject(value) {
+    return Object.prototype.toString.call(value) === '[object Object]';
+}
+
+// In a query string, + also means a space (HTML forms send it that way)
+function decodeQueryComponent(text) {
+    try {
+        return decodeURIComponent(text.replace(/\+/g, ' '));
+    } catch (error) {
+        return text;
+    }
+}
+
+// Encodes a path segment, leaving one that is already encoded as it is
+function encodePathSegment(segment) {
+    let decoded = segment;
+    try {
+        decoded = decodeURIComponent(segment);
+    } catch (error) {
+        // Not valid percent-encoding: encode it as it is
+    }
+    return encodeURIComponent(decoded);
+}
+
+// ============================================
+// Query Strings
+// ============================================
+// Adds the [key, value] pairs for `value` to `pairs`, where `key` is the
+// (already encoded) name it goes by
+function flatten(value, key, pairs, arrays) {
+    if (value === undefined || value === null) {
+        return;
+    }
+    if (Array.isArray(value)) {
+        value.forEach((item, index) => {
+            if (Array.isArray(item) || isPlainObject(item)) {
+                flatten(item, `${key}[${index}]`, pairs, arrays);
+            } else {
+                flatten(item, arrays === 'brackets' ? `${key}[]` : key, pairs, arrays);
+            }
+        });
+    } else if (isPlainObject(value)) {
+        for (const [name, item] of Object.entries(value)) {
+            const encoded = encodeURIComponent(name);
+            flatten(item, key === '' ? encoded : `${key}[${encoded}]`, pairs, arrays);
+        }
+    } else {
+        pairs.push([key, value instanceof Date ? value.toISOString() : String(value)]);
+    }
+}
+
+// { page: 2, tag: ['a', 'b'] } -> 'page=2&tag=a&tag=b'.
+// undefined and null values are left out.
+function stringifyQuery(params, { arrays = 'repeat' } = {}) {
+    const pairs = [];
+    flatten(params, '', pairs, arrays);
+    return pairs.map(([key, value]) => `${key}=${encodeURIComponent(value)}`).join('&');
+}
+
+// 'filter[age][min]' -> ['filter', 'age', 'min'], 'tag[]' -> ['tag', '']
+function parseKey(key) {
+    const match = key.match(/^([^[\]]*)((?:\[[^[\]]*\])+)$/);
+    if (!match) {
+        return [decodeQueryComponent(key)];
+    }
+    const names = [match[1]];
+    match[2].replace(/\[([^[\]]*)\]/g, (bracket, name) => names.push(name));
+    return names.map(decodeQueryComponent);
+}
+
+function assign(target, path, value) {
+    const [name, ...rest] = path;
+    if (UNSAFE_KEYS.includes(name)) {
+        return;
+    }
+    const own = Object.prototype.hasOwnProperty.call(target, name);
+
+    if (rest.length === 0) {
+        if (name === '' && Array.isArray(target)) {
+            target.push(value);
+        } else if (own) {
+            // A repeated key collects its values
+            target[name] = [].concat(target[name], value);
+        } else {
+            target[name] = value;
+        }
+        return;
+    }
+
+    // The next name says whether the container is a list or an object
+    const container = rest[0] === '' || /^\d+$/.test(rest[0]) ? [] : {};
+    if (name === '' && Array.isArray(target)) {
+        target.push(container);
+        assign(container, rest, value);
+        return;
+    }
+    if (own && typeof target[name] !== 'object' && Array.isArray(container)) {
+        // tag=a&tag[]=b: the plain value joins the list
+        target[name] = [target[name]];
+    } else if (!own || typeof target[name] !== 'object') {
+        target[name] = container;
+    }
+    assign(target[name], rest, value);
+}
+
+// 'page=2&tag=a&tag=b' -> { page: '2', tag: ['a', 'b'] }.
+// Values are strings; a leading ? is ignored.
+function parseQuery(query) {
+    const params = {};
+    for (const part of query.replace(/^\?/, '').split('&')) {
+        if (part === '') continue;
+        const equals = part.indexOf('=');
+        const key = equals === -1 ? part : part.slice(0, equals);
+        const value = equals === -1 ? '' : decodeQueryComponent(part.slice(equals + 1));
+        assign(params, parseKey(key), value);
+    }
+    return params;
+}
+
+// ============================================
+// Whole URLs
+// ============================================
+// 'https://x.com/a?b=1#top' -> { path: 'https://x.com/a', params: { b: '1' }, hash: 'top' }
+function parseURL(url) {
+    const hashAt = url.indexOf('#');
+    const hash = hashAt === -1 ? '' : url.slice(hashAt + 1);
+    const rest = hashAt === -1 ? url : url.slice(0, hashAt);
+    const queryAt = rest.indexOf('?');
+    return {
+        path: queryAt === -1 ? rest : rest.slice(0, queryAt),
+        params: queryAt === -1 ? {} : parseQuery(rest.slice(queryAt + 1)),
+        hash
+    };
+}
+
+// Joins the base's path and `path` with single slashes. `path` is a string
+// such as 'users/42', or an array of segments, which are always encoded.
+function joinPath(basePath, path) {
+    const [, origin = '', baseRest] = basePath.match(ORIGIN);
+    const extra = Array.isArray(path)
+        ? path.map(segment => encodeURIComponent(String(segment)))
+        : String(path).split('/').map(segment => (segment === '' ? '' : encodePathSegment(segment)));
+    const segments = baseRest.split('/').concat(extra).filter(segment => segment !== '');
+
+    const last = Array.isArray(path) || path === '' ? baseRest : String(path);
+    const leading = origin !== '' || baseRest.startsWith('/') ? '/' : '';
+    if (segments.length === 0) {
+        return origin + (baseRest.startsWith('/') ? '/' : '');
+    }
+    return origin + leading + segments.join('/') + (last.endsWith('/') ? '/' : '');
+}
+
+function buildURL(base, path = '', params = {}, options = {}) {
+    const parsed = parseURL(base);
+    const query = stringifyQuery({ ...parsed.params, ...params }, options);
+    return joinPath(parsed.path, path) +
+        (query ? `?${query}` : '') +
+        (parsed.hash ? `#${parsed.hash}` : '');
+}
+
+// ============================================
+// Examples
+// ============================================
+function main() {
+    const { isDeepStrictEqual } = require('util');
+    const api = 'https://api.example.com';
+
+    // ============================================
+    // Encoding
+    // ============================================
+    // Concatenation would send "q=rock & roll", which reads as q=rock plus
+    // an empty " roll" parameter
+    console.log(buildURL(api, 'search', { q: 'rock & roll', city: 'São Paulo' }));
+    // Output: https://api.example.com/search?q=rock%20%26%20roll&city=S%C3%A3o%20Paulo
+
+    // Path segments are encoded too; an array of segments is always encoded
+    console.log(buildURL(api, ['users', 'Jane Doe', 'a/b'])); // Output: https://api.example.com/users/Jane%20Doe/a%2Fb
+
+    // ============================================
+    // Arrays and Nested Objects
+    // ============================================
+    const tags = { tag: ['js', 'node'] };
+    console.log(buildURL(api, 'posts', tags)); // Output: https://api.example.com/posts?tag=js&tag=node
+    console.log(buildURL(api, 'posts', tags, { arrays: 'brackets' }));
+    // Output: https://api.example.com/posts?tag[]=js&tag[]=node
+
+    const filter = { filter: { status: 'active', age: { min: 18 } }, sort: undefined };
+    console.log(buildURL(api, 'users', filter));
+    // Output: https://api.example.com/users?filter[status]=active&filter[age][min]=18
+
+    // ============================================
+    // Merging with the Base URL
+    // ============================================
+    // The base's query and hash are kept; params with the same name win.
+    // Extra slashes between the parts are removed.
+    const base = 'https://api.example.com/v1/?token=abc&page=1#results';
+    console.log(buildURL(base, '/users//42/', { page: 2 }));
+    // Output: https://api.example.com/v1/users/42/?token=abc&page=2#results
+    // A protocol-relative base keeps its host
+    console.log(buildURL('//cdn.example.com/assets', 'img/logo.png')); // Output: //cdn.example.com/assets/img/logo.png
+
+    // ============================================
+    // Parsing, and the Round Trip
+    // ============================================
+    const url = buildURL(api, 'users', { q: 'Jane Doe', tag: ['a', 'b'], filter: { age: { min: '18' } } });
+    const parsed = parseURL(url);
+    console.log(parsed.path); // Output: https://api.example.com/users
+    console.log(parsed.params); // Output: { q: 'Jane Doe', tag: ['a', 'b'], filter: { age: { min: '18' } } }
+    console.log(buildURL(parsed.path, '', parsed.params) === url); // Output: true
+
+    // A one-item array comes back as a plain value unless it has brackets
+    console.log(parseQuery('tag=a').tag, parseQuery('tag[]=a').tag); // Output: a [ 'a' ]
+    console.log(parseQuery('tag=a&tag[]=b').tag); // Output: ['a', 'b']
+    const items = { items: [{ id: '1' }, { id: '2' }] };
+    console.log(isDeepStrictEqual(parseQuery(stringifyQuery(items)), items)); // Output: true
+
+    // Parsing can't be used to change Object.prototype
+    parseQuery('__proto__[admin]=true');
+    console.log({}.admin); // Output: undefined
+}
+
+module.exports = {
+    buildURL,
+    parseURL,
+    stringifyQuery,
+    parseQuery,
+    main
+};
+
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,38 @@
+/**
+ * Workshop Topics
+ *
+ * The single list of topics shipped with the workshop. The launcher
+ * (index.js) reads it to know what can be run, so a new topic or a new
+ * example file only needs to be registered here.
+ */
+
+const path = require('path');
+
+// ============================================
+// Topic Registry
+// ============================================
+// Each topic has a short name (used on the command line), a title, the
+// folder it lives in and the example files to run, in order.
+const topics = [
+    { name: 'arrays', title: 'Arrays', dir: 'arrays', files: ['Arrays.js', 'immutable.js', 'sortBy.js', 'lazy.js'] },
+    { name: 'functions', title: 'Arrow Functions', dir: 'functions', files: ['arrowfunctions.js'] },
+    { name: 'async', title: 'Async JavaScript', dir: 'async', files: ['async.js', 'virtualClock.js', 'eventLoopTracer.js', 'retry.js', 'pool.js', 'timeout.js', 'asyncIteration.js'] },
+    { name: 'const-let', title: 'const and let', dir: 'const-let', files: ['const-let.js'] },
+    { name: 'destructuring', title: 'Destructuring', dir: 'destructuring', files: ['destructuring.js'] },
+    { name: 'error-handling', title: 'Error Handling', dir: 'error-handling', files: ['ErrorHandling.js', 'errors.js', 'schema.js'] },
+    { name: 'objects', title: 'Object Methods', dir: 'objects', files: ['object.js', 'deepMerge.js', 'deepEqual.js', 'jsonPatch.js', 'paths.js', 'groupBy.js'] },
+    { name: 'spread-rest', title: 'Spread & Rest', dir: 'spread-rest', files: ['SpreadRest.js', 'config.js', 'deepClone.js'] },
+    { name: 'template-literals', title: 'Template Literals', dir: 'template-literals', files: ['templateLiterals.js', 'sql.js', 'html.js', 'url.js', 'logger.js'] }
+];
+
+// Look up a topic by its short name
+function findTopic(name) {
+    return topics.find(topic => topic.name === name);
+}
+
+// Absolute paths of a topic's example files
+function topicFiles(topic) {
+    return topic.files.map(file => path.join(__dirname, topic.dir, file));
+}
+
+module.exports = { topics, findTopic, topicFiles };